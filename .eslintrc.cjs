@@ -14,4 +14,8 @@ module.exports = {
   globals: {
     shopify: "readonly"
   },
+  // Tests run on Vitest, whose API matches Jest 29 for these rules.
+  settings: {
+    jest: { version: 29 },
+  },
 };
@@ -0,0 +1,291 @@
+import prisma from "../db.server";
+import { toNumericId } from "../utils/ids";
+import { DEFAULT_SYNONYMS, proposeAutoAssignment } from "../utils/auto-assign";
+import { mergeProductSettings } from "../utils/product-settings";
+import {
+  METAFIELDS_SET_BATCH_SIZE,
+  getProductForAssignment,
+  getShopSettings,
+  listProducts,
+  normalizeProductSettings,
+  saveProductMappings,
+} from "./variant-images.server";
+import { refreshProductSummary } from "./product-index.server";
+import { mappingSnapshotOf, recordMappingRevisions } from "./mapping-history.server";
+
+const JOB_SCOPES = ["selected", "unconfigured"];
+
+// Rules as stored on the job:
+// {
+//   optionNames: ["Color", "Colour"], // option to map, first match wins; empty = first option
+//   synonyms: [["grey", "gray"]],     // added to DEFAULT_SYNONYMS
+//   overwrite: false,                 // re-map products that already have a map
+// }
+function normalizeAutoAssignRules(rawRules) {
+  const input = rawRules && typeof rawRules === "object" ? rawRules : {};
+
+  const optionNames = Array.isArray(input.optionNames)
+    ? input.optionNames.map((name) => String(name).trim()).filter(Boolean)
+    : [];
+  const synonyms = Array.isArray(input.synonyms)
+    ? input.synonyms
+        .filter(Array.isArray)
+        .map((group) => group.map((term) => String(term).trim()).filter(Boolean))
+        .filter((group) => group.length > 1)
+    : [];
+
+  return {
+    optionNames,
+    synonyms,
+    overwrite: input.overwrite === true,
+  };
+}
+
+function pickOption(options, optionNames) {
+  if (optionNames.length === 0) return options[0] ?? null;
+  const wanted = optionNames.map((name) => name.toLowerCase());
+  return (
+    wanted
+      .map((name) => options.find((option) => option.name.toLowerCase() === name))
+      .find(Boolean) ?? null
+  );
+}
+
+// Featured images stay on the values that still hold them, and per-product
+// settings are kept, as a CSV import keeps them, so re-mapping a product
+// doesn't undo the merchant's picks. An inherited fallback value is only kept
+// while it has images.
+function mergeIntoStoredMap(product, optionName, mapping) {
+  const sameKeys = product.mappingMode === "option" && product.optionName === optionName;
+  const featured = sameKeys
+    ? Object.fromEntries(
+        Object.entries(product.featured).filter(([value, imageId]) => mapping[value]?.includes(imageId)),
+      )
+    : {};
+  const settings = normalizeProductSettings(product.settings, mapping);
+
+  return {
+    mode: "option",
+    optionName,
+    mapping,
+    ...(Object.keys(featured).length > 0 ? { featured } : {}),
+    ...(Object.keys(settings).length > 0 ? { settings } : {}),
+  };
+}
+
+// Builds the result row (and the map to write, if any) for one product.
+function autoAssignProduct(product, rules, { exclusive }) {
+  const base = { productId: product.id, title: product.title };
+
+  if (!rules.overwrite && Object.keys(product.mapping).length > 0) {
+    return { ...base, status: "skipped", message: "Already configured" };
+  }
+
+  const option = pickOption(product.options, rules.optionNames);
+  if (!option) {
+    return { ...base, status: "skipped", message: "No matching option" };
+  }
+
+  const mapping = proposeAutoAssignment(
+    option.values.map((value) => ({ key: value, terms: [value] })),
+    product.media,
+    {
+      synonyms: [...DEFAULT_SYNONYMS, ...rules.synonyms],
+      exclusive,
+      toImageId: (item) => toNumericId(item.id),
+    },
+  );
+
+  const assignedValues = Object.keys(mapping).length;
+  if (assignedValues === 0) {
+    return { ...base, status: "skipped", message: "No media matched" };
+  }
+
+  return {
+    ...base,
+    status: "assigned",
+    assignedValues,
+    before: mappingSnapshotOf(product),
+    mapping: mergeIntoStoredMap(product, option.name, mapping),
+  };
+}
+
+async function recordResults(jobId, results) {
+  if (results.length === 0) return;
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+
+  await prisma.autoAssignJobResult.createMany({
+    data: results.map((result) => ({
+      jobId,
+      productId: result.productId,
+      title: result.title,
+      status: result.status,
+      assignedValues: result.assignedValues ?? 0,
+      message: result.message ?? null,
+    })),
+  });
+  await prisma.autoAssignJob.update({
+    where: { id: jobId },
+    data: {
+      processed: { increment: results.length },
+      assigned: { increment: count("assigned") },
+      skipped: { increment: count("skipped") },
+      failed: { increment: count("failed") },
+    },
+  });
+}
+
+// Writes the batch's maps, then records every result, which also moves the
+// job's progress past the batch. A failed write fails every assigned product
+// in the batch, since metafieldsSet is all-or-nothing.
+async function flushResults(admin, job, results) {
+  const pending = results.filter((result) => result.status === "assigned");
+  if (pending.length === 0) {
+    await recordResults(job.id, results);
+    return;
+  }
+
+  try {
+    await saveProductMappings(
+      admin,
+      pending.map((result) => ({
+        productId: result.productId,
+        mapping: result.mapping,
+        allowSharedImages: result.allowSharedImages,
+      })),
+    );
+  } catch (error) {
+    await recordResults(
+      job.id,
+      results.map((result) =>
+        result.status === "assigned"
+          ? { ...result, status: "failed", assignedValues: 0, message: error.message }
+          : result,
+      ),
+    );
+    return;
+  }
+
+  for (const result of pending) {
+    await refreshProductSummary(admin, job.shop, result.productId);
+  }
+  await recordMappingRevisions(
+    job.shop,
+    pending.map((result) => ({ productId: result.productId, before: result.before, after: result.mapping })),
+    { source: "bulk-auto-assign" },
+  );
+  await recordResults(job.id, results);
+}
+
+async function assignProduct(admin, productId, rules, settings) {
+  try {
+    const product = await getProductForAssignment(admin, productId);
+    if (!product) {
+      return { productId, title: productId, status: "failed", message: "Product not found" };
+    }
+
+    const { allowSharedImages } = mergeProductSettings(settings, product.ruleSettings, product.settings);
+    return { ...autoAssignProduct(product, rules, { exclusive: !allowSharedImages }), allowSharedImages };
+  } catch (error) {
+    return { productId, title: productId, status: "failed", message: error.message };
+  }
+}
+
+// One run's share of a job. "unconfigured" jobs first collect their products
+// page by page, then every job maps its products in batches. Progress is
+// saved after each page and batch, so the next run picks up where this one
+// stopped; products are read from `job.processed` on, since every handled
+// product is recorded with its batch.
+async function runAutoAssignStep(job, admin, { deadline }) {
+  let state = job.state ?? { phase: job.scope === "selected" ? "assign" : "collect", after: null };
+  let productIds = Array.isArray(job.productIds) ? job.productIds : [];
+
+  while (state.phase === "collect") {
+    if (Date.now() >= deadline) return { done: false };
+
+    const page = await listProducts(admin, {
+      first: 100,
+      after: state.after,
+      status: "unconfigured",
+      multiVariantOnly: true,
+    });
+    productIds = [...productIds, ...page.products.map((product) => product.id)];
+    state = page.pageInfo.hasNextPage
+      ? { phase: "collect", after: page.pageInfo.endCursor }
+      : { phase: "assign" };
+
+    await prisma.autoAssignJob.update({
+      where: { id: job.id },
+      data: { productIds, total: productIds.length, state },
+    });
+  }
+
+  const { settings } = await getShopSettings(admin);
+  const rules = normalizeAutoAssignRules(job.rules);
+  let index = job.processed;
+  let results = [];
+
+  while (index < productIds.length && Date.now() < deadline) {
+    results.push(await assignProduct(admin, productIds[index], rules, settings));
+    index += 1;
+    if (results.length >= METAFIELDS_SET_BATCH_SIZE) {
+      await flushResults(admin, job, results);
+      results = [];
+    }
+  }
+  await flushResults(admin, job, results);
+
+  return { done: index >= productIds.length };
+}
+
+// Queues the job; background runs (see background-jobs.server.js) do the
+// work, and callers follow progress through getAutoAssignJob.
+async function startAutoAssignJob(shop, { scope, productIds = [], rules = {} }) {
+  if (!JOB_SCOPES.includes(scope)) {
+    throw new Error(`Unknown auto-assign scope: ${scope}`);
+  }
+  if (scope === "selected" && productIds.length === 0) {
+    throw new Error("Select at least one product");
+  }
+
+  return prisma.autoAssignJob.create({
+    data: {
+      kind: "auto-assign",
+      shop,
+      scope,
+      rules: normalizeAutoAssignRules(rules),
+      productIds: scope === "selected" ? productIds : undefined,
+      total: scope === "selected" ? productIds.length : 0,
+    },
+  });
+}
+
+async function getAutoAssignJob(shop, jobId) {
+  return prisma.autoAssignJob.findFirst({
+    where: { id: jobId, shop, kind: "auto-assign" },
+    include: { results: { orderBy: { createdAt: "asc" } } },
+  });
+}
+
+async function listAutoAssignJobs(shop, { take = 20 } = {}) {
+  return prisma.autoAssignJob.findMany({
+    where: { shop, kind: "auto-assign" },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+}
+
+async function deleteShopAutoAssignJobs(shop) {
+  await prisma.autoAssignJob.deleteMany({ where: { shop } });
+}
+
+export {
+  normalizeAutoAssignRules,
+  autoAssignProduct,
+  startAutoAssignJob,
+  runAutoAssignStep,
+  getAutoAssignJob,
+  listAutoAssignJobs,
+  deleteShopAutoAssignJobs,
+};
@@ -0,0 +1,61 @@
+import { describe, expect, it, vi } from "vitest";
+import { autoAssignProduct, normalizeAutoAssignRules } from "./auto-assign-jobs.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+
+// Shaped like getProductForAssignment's result.
+function product(overrides = {}) {
+  return {
+    id: "gid://shopify/Product/1",
+    title: "Shirt",
+    options: [{ name: "Color", values: ["Red", "Blue"] }],
+    media: [
+      { id: "11", url: "https://cdn.example/shirt-red.jpg", altText: null },
+      { id: "12", url: "https://cdn.example/shirt-blue.jpg", altText: null },
+    ],
+    mappingMode: "option",
+    optionName: "Color",
+    optionNames: [],
+    mapping: {},
+    featured: {},
+    settings: {},
+    ...overrides,
+  };
+}
+
+describe("autoAssignProduct", () => {
+  it("keeps the overrides of a product that only has settings", () => {
+    const settings = { hideUnassignedImages: true, reorderGallery: false };
+    const result = autoAssignProduct(product({ settings }), normalizeAutoAssignRules({}), {
+      exclusive: true,
+    });
+
+    expect(result.status).toBe("assigned");
+    expect(result.mapping).toEqual({
+      mode: "option",
+      optionName: "Color",
+      mapping: { Red: ["11"], Blue: ["12"] },
+      settings,
+    });
+  });
+
+  it("keeps settings and featured images when overwriting a map", () => {
+    const result = autoAssignProduct(
+      product({
+        mapping: { Red: ["12"], Blue: ["12"] },
+        featured: { Red: "12", Blue: "12" },
+        settings: { fallback: { mode: "inherit", value: "Blue" } },
+      }),
+      normalizeAutoAssignRules({ overwrite: true }),
+      { exclusive: true },
+    );
+
+    expect(result.mapping).toEqual({
+      mode: "option",
+      optionName: "Color",
+      mapping: { Red: ["11"], Blue: ["12"] },
+      featured: { Blue: "12" },
+      settings: { fallback: { mode: "inherit", value: "Blue" } },
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { runAutoAssignStep } from "./auto-assign-jobs.server";
+import { runMappingExportStep } from "./mapping-csv.server";
+import { runProductIndexStep } from "./product-index.server";
+import { runRuleSettingsStep } from "./settings-rules.server";
+
+const ACTIVE_JOB_STATUSES = ["pending", "running"];
+
+// Serverless functions stop when the request that started them returns, so
+// jobs never run on their own: the scheduled /jobs/run request and the pages
+// watching a job each give them a time budget, and every step saves where it
+// stopped for the next run to pick up.
+const SCHEDULED_RUN_BUDGET_MS = 45 * 1000;
+const PAGE_RUN_BUDGET_MS = 5 * 1000;
+
+// Longer than any run's budget, so a job is only claimed again once the run
+// holding it has stopped.
+const JOB_LEASE_MS = 2 * 60 * 1000;
+// Runs cut off before a job saved any progress; past this the job is failed
+// rather than retried forever.
+const MAX_JOB_ATTEMPTS = 3;
+// Pending jobs nothing picked up, e.g. while no scheduler is configured.
+const PENDING_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+
+// kind -> async (job, admin, { deadline }) => ({ done })
+const JOB_STEPS = {
+  "auto-assign": runAutoAssignStep,
+  "mapping-export": runMappingExportStep,
+  "product-index": runProductIndexStep,
+  "settings-rules": runRuleSettingsStep,
+};
+
+function unlockedAt(now) {
+  return { OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] };
+}
+
+// Fails jobs whose runs keep getting cut off, and pending jobs left too long.
+async function expireStaleJobs(shop = null) {
+  const now = new Date();
+  await prisma.autoAssignJob.updateMany({
+    where: {
+      ...(shop ? { shop } : {}),
+      status: { in: ACTIVE_JOB_STATUSES },
+      AND: [
+        unlockedAt(now),
+        {
+          OR: [
+            { attempts: { gte: MAX_JOB_ATTEMPTS } },
+            { status: "pending", createdAt: { lt: new Date(now.getTime() - PENDING_JOB_TTL_MS) } },
+          ],
+        },
+      ],
+    },
+    data: {
+      status: "failed",
+      error: "The job stopped responding before it finished",
+      lockedUntil: null,
+      finishedAt: now,
+    },
+  });
+}
+
+// Takes the lease on the oldest active job nobody is working on. The lease is
+// set with a conditional update, so when two runs pick the same job only one
+// of them gets it.
+async function claimNextJob(shop) {
+  const now = new Date();
+  const job = await prisma.autoAssignJob.findFirst({
+    where: {
+      ...(shop ? { shop } : {}),
+      status: { in: ACTIVE_JOB_STATUSES },
+      attempts: { lt: MAX_JOB_ATTEMPTS },
+      ...unlockedAt(now),
+    },
+    orderBy: { createdAt: "asc" },
+  });
+  if (!job) return null;
+
+  const claimed = {
+    status: "running",
+    startedAt: job.startedAt ?? now,
+    lockedUntil: new Date(now.getTime() + JOB_LEASE_MS),
+  };
+  const { count } = await prisma.autoAssignJob.updateMany({
+    where: { id: job.id, ...unlockedAt(now) },
+    data: { ...claimed, attempts: { increment: 1 } },
+  });
+
+  // The row as claimed: steps rely on `startedAt` from the first run on.
+  return count === 1 ? { ...job, ...claimed, attempts: job.attempts + 1 } : null;
+}
+
+async function runJob(job, deadline) {
+  // Only while still running: a job replaced mid-run keeps its final status.
+  const release = (data) =>
+    prisma.autoAssignJob.updateMany({
+      where: { id: job.id, status: "running" },
+      data: { ...data, lockedUntil: null },
+    });
+
+  try {
+    const step = JOB_STEPS[job.kind];
+    if (!step) {
+      throw new Error(`Unknown job kind: ${job.kind}`);
+    }
+
+    const { admin } = await unauthenticated.admin(job.shop);
+    const { done } = await step(job, admin, { deadline });
+    await release(done ? { status: "completed", finishedAt: new Date() } : { attempts: 0 });
+  } catch (error) {
+    await release({ status: "failed", error: error.message, finishedAt: new Date() });
+  }
+}
+
+/**
+ * Advances active jobs, oldest first, until the budget is spent: every shop's
+ * jobs for the scheduled run, or one shop's for a page watching its jobs.
+ *
+ * Returns { ran } with the number of job steps run.
+ */
+async function runBackgroundJobs({ shop = null, budgetMs = SCHEDULED_RUN_BUDGET_MS } = {}) {
+  const deadline = Date.now() + budgetMs;
+  await expireStaleJobs(shop);
+
+  let ran = 0;
+  while (Date.now() < deadline) {
+    const job = await claimNextJob(shop);
+    if (!job) break;
+    await runJob(job, deadline);
+    ran += 1;
+  }
+
+  return { ran };
+}
+
+export { ACTIVE_JOB_STATUSES, PAGE_RUN_BUDGET_MS, expireStaleJobs, runBackgroundJobs };
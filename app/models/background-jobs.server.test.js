@@ -0,0 +1,140 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { runBackgroundJobs } from "./background-jobs.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+vi.mock("../shopify.server", () => ({ unauthenticated: { admin: vi.fn() } }));
+
+const SHOP = "lens-test.myshopify.com";
+
+// Applies Prisma-style update data, including `{ increment }`, to a row.
+function applyData(row, data) {
+  for (const [key, value] of Object.entries(data)) {
+    row[key] = value?.increment != null ? row[key] + value.increment : value;
+  }
+}
+
+// Just enough of the Prisma client for the job runner and the index build:
+// one job table row, the shop's index state and the summaries written.
+function fakePrisma(job) {
+  const state = { shop: SHOP, status: "building", syncedAt: null };
+  const summaries = [];
+  const deletedSummaries = [];
+
+  Object.assign(prisma, {
+    autoAssignJob: {
+      async findFirst() {
+        return ["pending", "running"].includes(job.status) && !job.lockedUntil ? { ...job } : null;
+      },
+      async updateMany({ where, data }) {
+        const matches = where.id === job.id && (!where.status || where.status === job.status);
+        if (matches) applyData(job, data);
+        return { count: matches ? 1 : 0 };
+      },
+      async update({ data }) {
+        applyData(job, data);
+        return { ...job };
+      },
+    },
+    productSummary: {
+      upsert: (args) => {
+        summaries.push(args.create);
+        return Promise.resolve(args.create);
+      },
+      async deleteMany({ where }) {
+        deletedSummaries.push(where);
+        return { count: 0 };
+      },
+    },
+    productIndexState: {
+      async update({ data }) {
+        applyData(state, data);
+        return { ...state };
+      },
+    },
+    $transaction: (operations) => Promise.all(operations),
+  });
+
+  return { state, summaries, deletedSummaries };
+}
+
+function productNode(id) {
+  return {
+    id: `gid://shopify/Product/${id}`,
+    title: `Product ${id}`,
+    handle: `product-${id}`,
+    updatedAt: "2026-10-01T00:00:00Z",
+    onlineStoreUrl: null,
+    featuredImage: null,
+    mediaCount: { count: 2 },
+    variantsCount: { count: 3 },
+    metafield: null,
+  };
+}
+
+function adminWithProducts(nodes) {
+  return {
+    async graphql() {
+      return {
+        json: async () => ({
+          data: {
+            products: {
+              edges: nodes.map((node) => ({ node })),
+              pageInfo: { hasNextPage: false, endCursor: "end" },
+            },
+          },
+        }),
+      };
+    },
+  };
+}
+
+describe("runBackgroundJobs", () => {
+  let job;
+
+  beforeEach(() => {
+    job = {
+      id: "job-1",
+      shop: SHOP,
+      kind: "product-index",
+      status: "pending",
+      state: null,
+      processed: 0,
+      attempts: 0,
+      lockedUntil: null,
+      startedAt: null,
+      finishedAt: null,
+      createdAt: new Date(),
+    };
+  });
+
+  it("finishes a product index build that fits in its first run", async () => {
+    const { state, summaries, deletedSummaries } = fakePrisma(job);
+    unauthenticated.admin.mockResolvedValue({
+      admin: adminWithProducts([productNode(1), productNode(2)]),
+    });
+
+    await runBackgroundJobs({ shop: SHOP, budgetMs: 1000 });
+
+    expect(job).toMatchObject({ status: "completed", processed: 2, lockedUntil: null });
+    expect(job.error).toBeUndefined();
+    expect(summaries.map((summary) => summary.productId)).toEqual([
+      "gid://shopify/Product/1",
+      "gid://shopify/Product/2",
+    ]);
+    // Summaries the build didn't touch are the ones indexed before it started.
+    expect(deletedSummaries).toEqual([{ shop: SHOP, indexedAt: { lt: job.startedAt } }]);
+    expect(job.startedAt).toBeInstanceOf(Date);
+    expect(state.status).toBe("ready");
+  });
+
+  it("fails a job of an unknown kind instead of retrying it", async () => {
+    job.kind = "unknown";
+    fakePrisma(job);
+
+    await runBackgroundJobs({ shop: SHOP, budgetMs: 1000 });
+
+    expect(job).toMatchObject({ status: "failed", error: "Unknown job kind: unknown" });
+  });
+});
@@ -0,0 +1,154 @@
+import { toNumericId } from "../utils/ids";
+import { mergeProductSettings } from "../utils/product-settings";
+import {
+  auditProductMapping,
+  getShopSettings,
+  isThrottledError,
+  pruneProductMapping,
+  toOptionSnapshot,
+} from "./variant-images.server";
+import { ensureProductIndex, listIndexedProducts, refreshProductSummary } from "./product-index.server";
+import { recordMappingRevision } from "./mapping-history.server";
+
+// Each product costs at least one detail query, so a report page stays small
+// enough to fit the shop's API cost budget.
+const REPORT_PAGE_SIZE = 10;
+
+// Issue lists come back as labels the page can show as they are. Empty keys
+// are option values, or variant IDs for variant and combination maps; stale
+// keys are as stored, since their value or variant is gone. Unassigned media
+// only count where the product's effective settings hide them.
+function toReportRow(audit, shopSettings) {
+  const { product, normalized } = audit;
+  const isConfigured = Object.keys(normalized.mapping).length > 0;
+  const { hideUnassignedImages } = mergeProductSettings(
+    shopSettings,
+    product.ruleSettings,
+    normalized.settings,
+  );
+  const variantTitles = Object.fromEntries(
+    product.variants.map((variant) => [toNumericId(variant.id), variant.title]),
+  );
+  const label = (key) =>
+    normalized.mode === "option" ? key : (variantTitles[key] ?? `Variant ${key}`);
+
+  return {
+    id: product.id,
+    title: product.title,
+    handle: product.handle,
+    image: product.media.find((item) => item.url) ?? null,
+    isChecked: true,
+    mappingMode: normalized.mode,
+    isConfigured,
+    staleKeys: audit.staleKeys.map((key) => (normalized.mode === "variant" ? `Variant ${key}` : key)),
+    missingMediaCount: audit.missingMedia.length,
+    emptyValues: audit.emptyKeys.map(label),
+    unassignedMediaCount: isConfigured && hideUnassignedImages ? audit.unassignedMedia.length : 0,
+    needsCleanup: audit.changed,
+  };
+}
+
+// A product Shopify throttled the report before it could be audited.
+function toUncheckedRow(summary) {
+  return {
+    id: summary.id,
+    title: summary.title,
+    handle: summary.handle,
+    image: summary.image,
+    isChecked: false,
+    isConfigured: summary.isConfigured,
+    needsCleanup: false,
+  };
+}
+
+function hasIssues(row) {
+  return (
+    row.needsCleanup ||
+    row.staleKeys.length > 0 ||
+    row.missingMediaCount > 0 ||
+    row.emptyValues.length > 0 ||
+    row.unassignedMediaCount > 0
+  );
+}
+
+/**
+ * Audits one page of products from the product index against their current
+ * options, variants and media: products with a map, and multi-variant
+ * products still without one.
+ *
+ * Returns { rows, pageInfo, checked, isIndexBuilding } where `rows` lists
+ * products with issues and `checked` counts the products audited. Once
+ * Shopify throttles the report, the rest of the page is listed as not checked
+ * (`isChecked: false`) rather than failing it.
+ */
+async function getCoverageReport(admin, shop, { after = null, before = null } = {}) {
+  const indexState = await ensureProductIndex(shop);
+  const page = await listIndexedProducts(shop, {
+    first: REPORT_PAGE_SIZE,
+    after,
+    before,
+    status: "mappable",
+  });
+  const { settings } = await getShopSettings(admin);
+
+  const rows = [];
+  let checked = 0;
+  let throttled = false;
+  for (const summary of page.products) {
+    let audit = null;
+    if (!throttled) {
+      try {
+        audit = await auditProductMapping(admin, summary.id);
+      } catch (error) {
+        if (!isThrottledError(error)) throw error;
+        throttled = true;
+      }
+    }
+    if (throttled) {
+      rows.push(toUncheckedRow(summary));
+      continue;
+    }
+
+    checked += 1;
+    if (!audit) continue;
+    const row = toReportRow(audit, settings);
+    if (hasIssues(row)) rows.push(row);
+  }
+
+  return {
+    rows,
+    pageInfo: page.pageInfo,
+    checked,
+    isIndexBuilding: indexState.status === "building",
+  };
+}
+
+/**
+ * Re-saves each product's map without removed values and deleted media, as
+ * the products/update webhook would. Values without images and unassigned
+ * media need a merchant's decision and are left alone.
+ *
+ * Returns { cleaned } with the number of maps that changed.
+ */
+async function cleanUpProductMappings(admin, shop, productIds, { userId = null } = {}) {
+  let cleaned = 0;
+  for (const productId of productIds) {
+    const pruned = await pruneProductMapping(admin, productId);
+    if (!pruned.changed) continue;
+
+    cleaned += 1;
+    await recordMappingRevision(shop, productId, {
+      before: pruned.previous,
+      after: pruned.mapping,
+      source: "cleanup",
+      userId,
+    });
+    await refreshProductSummary(admin, shop, productId, {
+      optionSnapshot: toOptionSnapshot(pruned.variants),
+    });
+  }
+
+  return { cleaned };
+}
+
+export { REPORT_PAGE_SIZE, getCoverageReport, cleanUpProductMappings };
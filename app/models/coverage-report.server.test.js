@@ -0,0 +1,78 @@
+import { describe, expect, it, vi } from "vitest";
+import { getCoverageReport } from "./coverage-report.server";
+import { auditProductMapping } from "./variant-images.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+vi.mock("./product-index.server", () => ({
+  ensureProductIndex: async () => ({ status: "ready" }),
+  listIndexedProducts: async () => ({
+    products: [1, 2, 3].map((id) => ({
+      id: `gid://shopify/Product/${id}`,
+      title: `Product ${id}`,
+      handle: `product-${id}`,
+      image: null,
+      isConfigured: true,
+    })),
+    pageInfo: { hasNextPage: false, hasPreviousPage: false },
+  }),
+  refreshProductSummary: vi.fn(),
+}));
+vi.mock("./variant-images.server", async (importOriginal) => ({
+  ...(await importOriginal()),
+  getShopSettings: async () => ({ settings: { hideUnassignedImages: false } }),
+  auditProductMapping: vi.fn(),
+}));
+
+// Shaped like auditProductMapping's result for a product whose map still has
+// a deleted value.
+function staleAudit(productId) {
+  return {
+    product: {
+      id: productId,
+      title: "Shirt",
+      handle: "shirt",
+      media: [],
+      variants: [],
+      ruleSettings: {},
+    },
+    normalized: { mode: "option", mapping: { Red: ["10"] }, settings: {} },
+    staleKeys: ["Green"],
+    missingMedia: [],
+    emptyKeys: [],
+    unassignedMedia: [],
+    changed: true,
+  };
+}
+
+function throttledError() {
+  const error = new Error("Throttled");
+  error.graphQLErrors = [{ message: "Throttled", extensions: { code: "THROTTLED" } }];
+  return error;
+}
+
+describe("getCoverageReport", () => {
+  it("lists the rest of the page as not checked once Shopify throttles it", async () => {
+    auditProductMapping
+      .mockResolvedValueOnce(staleAudit("gid://shopify/Product/1"))
+      .mockRejectedValueOnce(throttledError());
+
+    const report = await getCoverageReport({}, "lens-test.myshopify.com");
+
+    expect(report.checked).toBe(1);
+    expect(report.rows.map((row) => [row.id, row.isChecked])).toEqual([
+      ["gid://shopify/Product/1", true],
+      ["gid://shopify/Product/2", false],
+      ["gid://shopify/Product/3", false],
+    ]);
+    // Nothing more is read once the shop's budget is spent.
+    expect(auditProductMapping).toHaveBeenCalledTimes(2);
+  });
+
+  it("fails on errors other than throttling", async () => {
+    auditProductMapping.mockReset().mockRejectedValueOnce(new Error("Access denied"));
+
+    await expect(getCoverageReport({}, "lens-test.myshopify.com")).rejects.toThrow(
+      "Access denied",
+    );
+  });
+});
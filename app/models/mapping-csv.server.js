@@ -0,0 +1,417 @@
+import prisma from "../db.server";
+import { toNumericId } from "../utils/ids";
+import {
+  COMBINATION_SEPARATOR,
+  COMBINATION_WILDCARD,
+  parseCombinationKey,
+  toCombinationKey,
+} from "../utils/combinations";
+import { parseCsv, toCsv } from "../utils/csv";
+import { mergeProductSettings } from "../utils/product-settings";
+import {
+  findProductIdByHandle,
+  getProductForAssignment,
+  getShopSettings,
+  isThrottledError,
+  normalizeCombinationMapping,
+  normalizeMapping,
+  normalizeOptionMapping,
+  normalizeProductSettings,
+  saveProductMapping,
+  toOptionSnapshot,
+} from "./variant-images.server";
+import {
+  countIndexedProducts,
+  ensureProductIndex,
+  listIndexedProducts,
+  refreshProductSummary,
+} from "./product-index.server";
+import { mappingSnapshotOf, recordMappingRevision } from "./mapping-history.server";
+
+// One row per assigned image, video or 3D model.
+//   mode            option | combination | variant
+//   option_name     "Color", "Color / Material" (combination), empty (variant)
+//   option_value    "Red", "Red / *" (combination), numeric variant ID (variant)
+//                   Combination names and values are escaped as in
+//                   utils/combinations.js ("Black \/ White / *").
+//   image_id        image ID, or media ID for videos and 3D models
+//   image_filename  image file, or the preview image's file for other media
+//   position        1-based order within the value
+//   featured        "yes" on the value's featured image, otherwise empty
+const CSV_COLUMNS = [
+  "product_handle",
+  "mode",
+  "option_name",
+  "option_value",
+  "image_id",
+  "image_filename",
+  "position",
+  "featured",
+];
+
+const FEATURED_VALUES = new Set(["yes", "true", "1"]);
+
+// Each product costs a detail query, so export runs save their progress after
+// every few products.
+const EXPORT_PAGE_SIZE = 10;
+
+function imageFileName(url) {
+  return String(url ?? "").split("?")[0].split("/").pop() || "";
+}
+
+function mappingRows(product) {
+  const filenames = Object.fromEntries(
+    product.media.map((item) => [toNumericId(item.id), imageFileName(item.url)]),
+  );
+  const optionName =
+    product.mappingMode === "combination"
+      ? toCombinationKey(product.optionNames)
+      : product.mappingMode === "variant"
+        ? ""
+        : product.optionName;
+
+  return Object.entries(product.mapping).flatMap(([value, imageIds]) =>
+    imageIds.map((imageId, index) => [
+      product.handle,
+      product.mappingMode,
+      optionName,
+      value,
+      imageId,
+      filenames[imageId] ?? "",
+      index + 1,
+      product.featured?.[value] === imageId ? "yes" : "",
+    ]),
+  );
+}
+
+/**
+ * Queues an export of every configured product (per the local index), or
+ * returns the export already on its way. Returns null while the index is
+ * being built and would miss products.
+ */
+async function queueMappingExport(shop) {
+  const indexState = await ensureProductIndex(shop);
+  if (indexState.status === "building") return null;
+
+  const active = await prisma.autoAssignJob.findFirst({
+    where: { shop, kind: "mapping-export", finishedAt: null },
+  });
+  if (active) return active;
+
+  return prisma.autoAssignJob.create({
+    data: {
+      kind: "mapping-export",
+      shop,
+      total: await countIndexedProducts(shop, { status: "configured" }),
+    },
+  });
+}
+
+async function getLatestMappingExport(shop) {
+  return prisma.autoAssignJob.findFirst({
+    where: { shop, kind: "mapping-export" },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+// One run's share of an export: a page of indexed products at a time, each
+// product's rows recorded as a job result, with the cursor saved after each
+// page. A throttled page is left for the next run rather than failing the
+// export.
+async function runMappingExportStep(job, admin, { deadline }) {
+  let after = job.state?.after ?? null;
+
+  while (Date.now() < deadline) {
+    const page = await listIndexedProducts(job.shop, {
+      first: EXPORT_PAGE_SIZE,
+      after,
+      status: "configured",
+    });
+
+    const results = [];
+    try {
+      for (const summary of page.products) {
+        const product = await getProductForAssignment(admin, summary.id);
+        if (!product) continue;
+        results.push({
+          jobId: job.id,
+          productId: product.id,
+          title: product.title,
+          status: "exported",
+          rows: mappingRows(product),
+        });
+      }
+    } catch (error) {
+      if (isThrottledError(error)) return { done: false };
+      throw error;
+    }
+
+    await prisma.autoAssignJobResult.createMany({ data: results });
+    after = page.pageInfo.endCursor;
+    await prisma.autoAssignJob.update({
+      where: { id: job.id },
+      data: { processed: { increment: page.products.length }, state: { after } },
+    });
+
+    if (!page.pageInfo.hasNextPage) return { done: true };
+  }
+
+  return { done: false };
+}
+
+// The finished export's CSV text, or null until it has completed.
+async function readMappingExportCsv(shop, jobId) {
+  const job = await prisma.autoAssignJob.findFirst({
+    where: { id: jobId, shop, kind: "mapping-export", status: "completed" },
+    include: { results: { orderBy: [{ createdAt: "asc" }, { id: "asc" }] } },
+  });
+  if (!job) return null;
+
+  return toCsv([CSV_COLUMNS, ...job.results.flatMap((result) => result.rows ?? [])]);
+}
+
+function inferMode(record) {
+  const mode = record.mode?.trim();
+  if (mode === "option" || mode === "combination" || mode === "variant") return mode;
+  if (!record.option_name?.trim()) return "variant";
+  return record.option_name.includes(COMBINATION_SEPARATOR) ? "combination" : "option";
+}
+
+function resolveImageId(product, record) {
+  const rawId = toNumericId(record.image_id?.trim());
+  if (rawId) {
+    const found = product.media.some((item) => toNumericId(item.id) === rawId);
+    return found ? { imageId: rawId } : { error: `Media ${rawId} is not on this product` };
+  }
+
+  const filename = record.image_filename?.trim().toLowerCase();
+  if (!filename) return { error: "Missing image_id or image_filename" };
+
+  const matches = product.media.filter((item) => imageFileName(item.url).toLowerCase() === filename);
+  if (matches.length === 0) return { error: `No media named ${record.image_filename}` };
+  if (matches.length > 1) return { error: `Several media are named ${record.image_filename}; use image_id` };
+  return { imageId: toNumericId(matches[0].id) };
+}
+
+// Checks the option name(s) and value of one row against the product and
+// returns { key } or { error }.
+function resolveMappingKey(product, mode, optionName, value) {
+  if (mode === "variant") {
+    const variantId = toNumericId(value);
+    return product.variants.some((variant) => toNumericId(variant.id) === variantId)
+      ? { key: variantId }
+      : { error: `Variant ${value} is not on this product` };
+  }
+
+  if (mode === "combination") {
+    const names = parseCombinationKey(optionName);
+    const options = names.map((name) => product.options.find((opt) => opt.name === name));
+    if (options.length < 2 || options.some((opt) => !opt)) {
+      return { error: `Unknown option combination ${optionName}` };
+    }
+    const parts = parseCombinationKey(value);
+    const valid =
+      parts.length === options.length &&
+      parts.every((part, index) => part === COMBINATION_WILDCARD || options[index].values.includes(part));
+    return valid ? { key: toCombinationKey(parts) } : { error: `Invalid combination ${value}` };
+  }
+
+  const option = product.options.find((opt) => opt.name === optionName);
+  if (!option) return { error: `Unknown option ${optionName}` };
+  return option.values.includes(value) ? { key: value } : { error: `Unknown ${optionName} value ${value}` };
+}
+
+// The CSV only covers images; the product's settings are kept as they are.
+function normalizeImportedMapping(product, mode, optionName, rawMapping, featured) {
+  const imageIds = product.media.map((item) => item.id);
+  const withFeatured = (result) => {
+    const settings = normalizeProductSettings(product.settings, result.mapping);
+    return {
+      ...result,
+      ...(Object.keys(featured).length > 0 ? { featured } : {}),
+      ...(Object.keys(settings).length > 0 ? { settings } : {}),
+    };
+  };
+
+  if (mode === "variant") {
+    return withFeatured({
+      mode,
+      mapping: normalizeMapping(rawMapping, product.variants.map((variant) => variant.id), imageIds),
+    });
+  }
+
+  if (mode === "combination") {
+    const optionNames = parseCombinationKey(optionName);
+    const options = optionNames.map((name) => product.options.find((opt) => opt.name === name));
+    return withFeatured({
+      mode,
+      optionNames,
+      mapping: normalizeCombinationMapping(rawMapping, options, imageIds),
+    });
+  }
+
+  const optionValues = product.options.find((opt) => opt.name === optionName)?.values ?? [];
+  return withFeatured({
+    mode,
+    optionName,
+    mapping: normalizeOptionMapping(rawMapping, optionValues, imageIds),
+  });
+}
+
+async function importProductRows(admin, handle, rows, shopSettings) {
+  const errors = [];
+  const productId = await findProductIdByHandle(admin, handle);
+  const product = productId ? await getProductForAssignment(admin, productId) : null;
+
+  if (!product) {
+    return {
+      errors: rows.map(({ rowNumber }) => ({ row: rowNumber, handle, message: "Unknown product handle" })),
+    };
+  }
+
+  const mode = inferMode(rows[0].record);
+  const optionName = rows[0].record.option_name?.trim() ?? "";
+  const { allowSharedImages } = mergeProductSettings(shopSettings, product.ruleSettings, product.settings);
+  const entries = [];
+
+  for (const { rowNumber, record } of rows) {
+    const fail = (message) => errors.push({ row: rowNumber, handle, message });
+
+    if (inferMode(record) !== mode || (record.option_name?.trim() ?? "") !== optionName) {
+      fail("All rows for a product must use the same mode and option name");
+      continue;
+    }
+
+    const { key, error: keyError } = resolveMappingKey(product, mode, optionName, record.option_value?.trim() ?? "");
+    if (keyError) {
+      fail(keyError);
+      continue;
+    }
+
+    const { imageId, error: imageError } = resolveImageId(product, record);
+    if (imageError) {
+      fail(imageError);
+      continue;
+    }
+
+    // Without shared images an image stays on the value of its first row.
+    const sharedWith = allowSharedImages
+      ? null
+      : entries.find((entry) => entry.imageId === imageId && entry.key !== key);
+    if (sharedWith) {
+      fail(`Media ${imageId} is already assigned to ${sharedWith.key} and shared images are turned off`);
+      continue;
+    }
+
+    const isFeatured = FEATURED_VALUES.has(record.featured?.trim().toLowerCase());
+    if (isFeatured && entries.some((entry) => entry.key === key && entry.isFeatured)) {
+      fail(`${record.option_value} already has a featured image`);
+      continue;
+    }
+
+    const position = Number.parseInt(record.position, 10);
+    entries.push({
+      key,
+      imageId,
+      isFeatured,
+      position: Number.isFinite(position) ? position : Infinity,
+      rowNumber,
+    });
+  }
+
+  if (errors.length > 0) return { errors };
+
+  entries.sort((a, b) => a.position - b.position || a.rowNumber - b.rowNumber);
+  const rawMapping = {};
+  const featured = {};
+  for (const entry of entries) {
+    (rawMapping[entry.key] ??= []).push(entry.imageId);
+    if (entry.isFeatured) featured[entry.key] = entry.imageId;
+  }
+
+  return {
+    product,
+    mapping: normalizeImportedMapping(product, mode, optionName, rawMapping, featured),
+    allowSharedImages,
+    errors,
+  };
+}
+
+/**
+ * Replaces the map of every product listed in the CSV. Rows are validated
+ * against the product's options, variants and media; a product with any
+ * invalid row is left untouched and its row errors are reported.
+ *
+ * Returns { rowCount, applied: [{ handle, values }], errors: [{ row, handle, message }] }.
+ */
+async function importMappingsCsv(admin, shop, text, { dryRun = false, userId = null } = {}) {
+  const [header = [], ...dataRows] = parseCsv(text);
+  const columns = header.map((column) => column.trim().toLowerCase());
+
+  const missing = ["product_handle", "option_value"].filter((column) => !columns.includes(column));
+  if (missing.length > 0 || (!columns.includes("image_id") && !columns.includes("image_filename"))) {
+    return {
+      rowCount: 0,
+      applied: [],
+      errors: [
+        {
+          row: 1,
+          handle: "",
+          message: `Header must include product_handle, option_value and image_id or image_filename`,
+        },
+      ],
+    };
+  }
+
+  const byHandle = new Map();
+  const errors = [];
+  dataRows.forEach((cells, index) => {
+    const record = Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ""]));
+    const rowNumber = index + 2;
+    const handle = record.product_handle.trim();
+    if (!handle) {
+      errors.push({ row: rowNumber, handle: "", message: "Missing product_handle" });
+      return;
+    }
+    if (!byHandle.has(handle)) byHandle.set(handle, []);
+    byHandle.get(handle).push({ rowNumber, record });
+  });
+
+  const { settings: shopSettings } = await getShopSettings(admin);
+  const applied = [];
+  for (const [handle, rows] of byHandle) {
+    const result = await importProductRows(admin, handle, rows, shopSettings);
+    if (result.errors.length > 0) {
+      errors.push(...result.errors);
+      continue;
+    }
+
+    if (!dryRun) {
+      await saveProductMapping(admin, result.product.id, result.mapping, {
+        allowSharedImages: result.allowSharedImages,
+      });
+      await refreshProductSummary(admin, shop, result.product.id, {
+        optionSnapshot: toOptionSnapshot(result.product.variants),
+      });
+      await recordMappingRevision(shop, result.product.id, {
+        before: mappingSnapshotOf(result.product),
+        after: result.mapping,
+        source: "import",
+        userId,
+      });
+    }
+    applied.push({ handle, values: Object.keys(result.mapping.mapping).length });
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return { rowCount: dataRows.length, applied, errors };
+}
+
+export {
+  CSV_COLUMNS,
+  queueMappingExport,
+  getLatestMappingExport,
+  runMappingExportStep,
+  readMappingExportCsv,
+  importMappingsCsv,
+};
@@ -0,0 +1,181 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "../db.server";
+import { importMappingsCsv, runMappingExportStep } from "./mapping-csv.server";
+import { listIndexedProducts } from "./product-index.server";
+import {
+  findProductIdByHandle,
+  getProductForAssignment,
+  getShopSettings,
+  saveProductMapping,
+} from "./variant-images.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+vi.mock("./product-index.server", () => ({
+  countIndexedProducts: vi.fn(),
+  ensureProductIndex: vi.fn(),
+  listIndexedProducts: vi.fn(),
+  refreshProductSummary: vi.fn(),
+}));
+vi.mock("./mapping-history.server", () => ({
+  mappingSnapshotOf: vi.fn(),
+  recordMappingRevision: vi.fn(),
+}));
+vi.mock("./variant-images.server", async (importOriginal) => ({
+  ...(await importOriginal()),
+  findProductIdByHandle: vi.fn(),
+  getProductForAssignment: vi.fn(),
+  getShopSettings: vi.fn(),
+  saveProductMapping: vi.fn(),
+}));
+
+// Shaped like getProductForAssignment's result.
+function product(overrides = {}) {
+  return {
+    id: "gid://shopify/Product/1",
+    title: "Shirt",
+    handle: "shirt",
+    options: [{ name: "Color", values: ["Red", "Blue"] }],
+    variants: [{ id: "gid://shopify/ProductVariant/5", title: "Red" }],
+    media: [
+      { id: "gid://shopify/ProductImage/11", url: "https://cdn.example/shirt-red.jpg?v=1" },
+      { id: "gid://shopify/ProductImage/12", url: "https://cdn.example/shirt-blue.jpg?v=1" },
+    ],
+    mappingMode: "option",
+    optionName: "Color",
+    optionNames: [],
+    mapping: { Red: ["11"], Blue: ["12"] },
+    featured: { Red: "11" },
+    settings: {},
+    ruleSettings: {},
+    ...overrides,
+  };
+}
+
+function indexPage(ids, { hasNextPage = false } = {}) {
+  return {
+    products: ids.map((id) => ({ id: `gid://shopify/Product/${id}` })),
+    pageInfo: { hasNextPage, endCursor: `summary-${ids.at(-1)}` },
+  };
+}
+
+describe("runMappingExportStep", () => {
+  const job = { id: "job-1", shop: "lens-test.myshopify.com", state: null };
+  let createdResults;
+  let jobUpdates;
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    createdResults = [];
+    jobUpdates = [];
+    prisma.autoAssignJobResult = {
+      createMany: async ({ data }) => createdResults.push(...data),
+    };
+    prisma.autoAssignJob = { update: async ({ data }) => jobUpdates.push(data) };
+  });
+
+  it("records each product's rows and finishes after the last page", async () => {
+    listIndexedProducts.mockResolvedValueOnce(indexPage([1]));
+    getProductForAssignment.mockResolvedValueOnce(product());
+
+    const result = await runMappingExportStep(job, {}, { deadline: Date.now() + 1000 });
+
+    expect(result).toEqual({ done: true });
+    expect(createdResults).toHaveLength(1);
+    expect(createdResults[0]).toMatchObject({ jobId: "job-1", status: "exported" });
+    expect(createdResults[0].rows).toEqual([
+      ["shirt", "option", "Color", "Red", "11", "shirt-red.jpg", 1, "yes"],
+      ["shirt", "option", "Color", "Blue", "12", "shirt-blue.jpg", 1, ""],
+    ]);
+    expect(jobUpdates).toEqual([{ processed: { increment: 1 }, state: { after: "summary-1" } }]);
+  });
+
+  it("leaves a throttled page for the next run", async () => {
+    const throttled = Object.assign(new Error("Throttled"), {
+      graphQLErrors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+    });
+    listIndexedProducts.mockResolvedValueOnce(indexPage([1, 2], { hasNextPage: true }));
+    getProductForAssignment.mockResolvedValueOnce(product()).mockRejectedValueOnce(throttled);
+
+    const result = await runMappingExportStep(job, {}, { deadline: Date.now() + 1000 });
+
+    expect(result).toEqual({ done: false });
+    expect(createdResults).toEqual([]);
+    expect(jobUpdates).toEqual([]);
+  });
+});
+
+describe("importMappingsCsv", () => {
+  const header = "product_handle,option_name,option_value,image_id,image_filename,position,featured";
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    findProductIdByHandle.mockResolvedValue("gid://shopify/Product/1");
+    getProductForAssignment.mockResolvedValue(product({ mapping: {}, featured: {} }));
+    getShopSettings.mockResolvedValue({ settings: { allowSharedImages: true } });
+  });
+
+  it("matches media by file name and orders values by position", async () => {
+    const csv = [
+      header,
+      "shirt,Color,Red,,SHIRT-BLUE.JPG,2,",
+      "shirt,Color,Red,11,,1,yes",
+    ].join("\n");
+
+    const result = await importMappingsCsv({}, "lens-test.myshopify.com", csv, { dryRun: true });
+
+    expect(result).toEqual({
+      rowCount: 2,
+      applied: [{ handle: "shirt", values: 1 }],
+      errors: [],
+    });
+    expect(saveProductMapping).not.toHaveBeenCalled();
+  });
+
+  it("skips a product with any invalid row and reports each error", async () => {
+    const csv = [
+      header,
+      "shirt,Color,Green,11,,1,",
+      "shirt,Color,Red,99,,1,",
+      "shirt,Color,Blue,,missing.jpg,1,",
+      ",Color,Red,11,,1,",
+    ].join("\n");
+
+    const result = await importMappingsCsv({}, "lens-test.myshopify.com", csv);
+
+    expect(result.applied).toEqual([]);
+    expect(result.errors.map((error) => [error.row, error.message])).toEqual([
+      [2, "Unknown Color value Green"],
+      [3, "Media 99 is not on this product"],
+      [4, "No media named missing.jpg"],
+      [5, "Missing product_handle"],
+    ]);
+    expect(saveProductMapping).not.toHaveBeenCalled();
+  });
+
+  it("rejects an image on two values when shared images are turned off", async () => {
+    getShopSettings.mockResolvedValue({ settings: { allowSharedImages: false } });
+    const csv = [header, "shirt,Color,Red,11,,1,", "shirt,Color,Blue,11,,1,"].join("\n");
+
+    const result = await importMappingsCsv({}, "lens-test.myshopify.com", csv);
+
+    expect(result.errors).toEqual([
+      {
+        row: 3,
+        handle: "shirt",
+        message: "Media 11 is already assigned to Red and shared images are turned off",
+      },
+    ]);
+  });
+
+  it("reports every row of an unknown product", async () => {
+    findProductIdByHandle.mockResolvedValue(null);
+    const csv = [header, "hat,Color,Red,11,,1,", "hat,Color,Blue,12,,1,"].join("\n");
+
+    const result = await importMappingsCsv({}, "lens-test.myshopify.com", csv);
+
+    expect(result.errors.map((error) => error.message)).toEqual([
+      "Unknown product handle",
+      "Unknown product handle",
+    ]);
+  });
+});
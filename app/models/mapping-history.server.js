@@ -0,0 +1,120 @@
+import prisma from "../db.server";
+
+// Older revisions beyond this are dropped when a new one is recorded.
+const MAX_REVISIONS_PER_PRODUCT = 50;
+
+// The map as saved to the metafield, from a getProductForAssignment result.
+function mappingSnapshotOf(product) {
+  const featured = Object.keys(product.featured ?? {}).length > 0 ? { featured: product.featured } : {};
+  const settings = Object.keys(product.settings ?? {}).length > 0 ? { settings: product.settings } : {};
+
+  if (product.mappingMode === "variant") {
+    return { mode: "variant", mapping: product.mapping, ...featured, ...settings };
+  }
+  if (product.mappingMode === "combination") {
+    return {
+      mode: "combination",
+      optionNames: product.optionNames,
+      mapping: product.mapping,
+      ...featured,
+      ...settings,
+    };
+  }
+  return {
+    mode: "option",
+    optionName: product.optionName,
+    mapping: product.mapping,
+    ...featured,
+    ...settings,
+  };
+}
+
+// JSON with object keys sorted: maps built by different code paths list the
+// same keys in different orders.
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Compares whole maps: mode, option name(s), mapping, featured and settings.
+function isSameMapping(before, after) {
+  return canonicalJson(before) === canonicalJson(after);
+}
+
+async function trimRevisions(shop, productIds) {
+  for (const productId of productIds) {
+    const stale = await prisma.mappingRevision.findMany({
+      where: { shop, productId },
+      orderBy: { createdAt: "desc" },
+      skip: MAX_REVISIONS_PER_PRODUCT,
+      select: { id: true },
+    });
+    if (stale.length > 0) {
+      await prisma.mappingRevision.deleteMany({
+        where: { id: { in: stale.map((revision) => revision.id) } },
+      });
+    }
+  }
+}
+
+// entries: [{ productId, before, after }]. Saves that didn't change the map
+// are not recorded.
+async function recordMappingRevisions(shop, entries, { source, userId = null, restoredFromId = null }) {
+  const changed = entries.filter((entry) => !isSameMapping(entry.before, entry.after));
+  if (changed.length === 0) return;
+
+  await prisma.mappingRevision.createMany({
+    data: changed.map((entry) => ({
+      shop,
+      productId: entry.productId,
+      source,
+      userId: userId ? String(userId) : null,
+      before: entry.before ?? undefined,
+      after: entry.after,
+      restoredFromId,
+    })),
+  });
+  await trimRevisions(shop, [...new Set(changed.map((entry) => entry.productId))]);
+}
+
+async function recordMappingRevision(shop, productId, { before, after, ...options }) {
+  await recordMappingRevisions(shop, [{ productId, before, after }], options);
+}
+
+async function listMappingRevisions(shop, productId, { take = 20 } = {}) {
+  return prisma.mappingRevision.findMany({
+    where: { shop, productId },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+}
+
+async function getMappingRevision(shop, revisionId) {
+  return prisma.mappingRevision.findFirst({ where: { id: revisionId, shop } });
+}
+
+async function deleteProductMappingRevisions(shop, productId) {
+  await prisma.mappingRevision.deleteMany({ where: { shop, productId } });
+}
+
+async function deleteShopMappingRevisions(shop) {
+  await prisma.mappingRevision.deleteMany({ where: { shop } });
+}
+
+export {
+  mappingSnapshotOf,
+  isSameMapping,
+  recordMappingRevision,
+  recordMappingRevisions,
+  listMappingRevisions,
+  getMappingRevision,
+  deleteProductMappingRevisions,
+  deleteShopMappingRevisions,
+};
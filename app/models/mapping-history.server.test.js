@@ -0,0 +1,38 @@
+import { describe, expect, it, vi } from "vitest";
+import { isSameMapping } from "./mapping-history.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+
+describe("isSameMapping", () => {
+  const map = {
+    mode: "option",
+    optionName: "Color",
+    mapping: { Red: ["11", "12"], Blue: ["13"] },
+    featured: { Red: "12" },
+    settings: { hideUnassignedImages: true },
+  };
+
+  it("ignores the order keys were written in", () => {
+    const reordered = {
+      settings: { hideUnassignedImages: true },
+      featured: { Red: "12" },
+      mapping: { Blue: ["13"], Red: ["11", "12"] },
+      optionName: "Color",
+      mode: "option",
+    };
+
+    expect(isSameMapping(map, reordered)).toBe(true);
+  });
+
+  it("tells apart maps that differ only in option, featured images or settings", () => {
+    expect(isSameMapping(map, { ...map, optionName: "Size" })).toBe(false);
+    expect(isSameMapping(map, { ...map, featured: { Red: "11" } })).toBe(false);
+    expect(isSameMapping(map, { ...map, settings: {} })).toBe(false);
+  });
+
+  it("keeps image order significant", () => {
+    expect(isSameMapping(map, { ...map, mapping: { Red: ["12", "11"], Blue: ["13"] } })).toBe(
+      false,
+    );
+  });
+});
@@ -0,0 +1,238 @@
+import prisma from "../db.server";
+import { toNumericId } from "../utils/ids";
+import { getProductSummary, listProducts } from "./variant-images.server";
+
+const SYNC_PAGE_SIZE = 100;
+
+function toSummaryRecord(summary) {
+  return {
+    title: summary.title,
+    handle: summary.handle,
+    onlineStoreUrl: summary.onlineStoreUrl ?? null,
+    imageUrl: summary.image?.url ?? null,
+    imageAltText: summary.image?.altText ?? null,
+    variantsCount: summary.variantsCount,
+    mediaCount: summary.mediaCount,
+    configuredValueCount: summary.configuredVariants,
+    assignedImageCount: summary.assignedImagesCount,
+    mappingMode: summary.mappingMode ?? null,
+    lastSavedAt: summary.mappingUpdatedAt ? new Date(summary.mappingUpdatedAt) : null,
+    productUpdatedAt: new Date(summary.updatedAt),
+  };
+}
+
+// Same shape as the summaries returned by listProducts, so routes can render
+// either source with the same components.
+function fromSummaryRecord(record) {
+  return {
+    id: record.productId,
+    numericId: toNumericId(record.productId),
+    title: record.title,
+    handle: record.handle,
+    updatedAt: record.productUpdatedAt.toISOString(),
+    onlineStoreUrl: record.onlineStoreUrl,
+    image: record.imageUrl ? { url: record.imageUrl, altText: record.imageAltText } : null,
+    mediaCount: record.mediaCount,
+    variantsCount: record.variantsCount,
+    mappingMode: record.mappingMode,
+    mappingUpdatedAt: record.lastSavedAt?.toISOString() ?? null,
+    configuredVariants: record.configuredValueCount,
+    assignedImagesCount: record.assignedImageCount,
+    isConfigured: record.configuredValueCount > 0,
+  };
+}
+
+// Unawaited, so index builds can batch a page of them in one transaction.
+function summaryUpsert(shop, summary, { optionSnapshot } = {}) {
+  const record = {
+    ...toSummaryRecord(summary),
+    ...(optionSnapshot ? { optionSnapshot } : {}),
+  };
+  return prisma.productSummary.upsert({
+    where: { shop_productId: { shop, productId: summary.id } },
+    create: { shop, productId: summary.id, ...record },
+    update: record,
+  });
+}
+
+async function upsertProductSummary(shop, summary, { optionSnapshot } = {}) {
+  await summaryUpsert(shop, summary, { optionSnapshot });
+}
+
+async function refreshProductSummary(admin, shop, productId, { optionSnapshot } = {}) {
+  const summary = await getProductSummary(admin, productId);
+  if (!summary) {
+    await deleteProductSummary(shop, productId);
+    return null;
+  }
+
+  await upsertProductSummary(shop, summary, { optionSnapshot });
+  return summary;
+}
+
+// Option snapshot from a products/* webhook payload, which is REST-style:
+// options carry names by position, variants carry option1..3.
+function optionSnapshotFromPayload(payload) {
+  const optionNames = (payload.options ?? [])
+    .slice()
+    .sort((a, b) => a.position - b.position)
+    .map((option) => option.name);
+
+  return Object.fromEntries(
+    (payload.variants ?? []).map((variant) => [
+      String(variant.id),
+      Object.fromEntries(
+        optionNames
+          .map((name, index) => [name, variant[`option${index + 1}`]])
+          .filter(([, value]) => value != null),
+      ),
+    ]),
+  );
+}
+
+async function getOptionSnapshot(shop, productId) {
+  const record = await prisma.productSummary.findUnique({
+    where: { shop_productId: { shop, productId } },
+    select: { optionSnapshot: true },
+  });
+  return record?.optionSnapshot ?? null;
+}
+
+async function deleteProductSummary(shop, productId) {
+  await prisma.productSummary.deleteMany({ where: { shop, productId } });
+}
+
+async function deleteShopProductIndex(shop) {
+  await prisma.productSummary.deleteMany({ where: { shop } });
+  await prisma.productIndexState.deleteMany({ where: { shop } });
+}
+
+// Creates the state row, or moves it back to "building", and queues the
+// build job, unless a build is already on its way. A state left "building" by
+// a build that failed is queued again.
+async function queueProductIndexBuild(shop) {
+  let queue = true;
+  try {
+    await prisma.productIndexState.create({ data: { shop, status: "building" } });
+  } catch (error) {
+    if (error.code !== "P2002") throw error;
+
+    const { count } = await prisma.productIndexState.updateMany({
+      where: { shop, status: "ready" },
+      data: { status: "building" },
+    });
+    queue =
+      count === 1 ||
+      (await prisma.autoAssignJob.count({
+        where: { shop, kind: "product-index", finishedAt: null },
+      })) === 0;
+  }
+
+  if (queue) {
+    await prisma.autoAssignJob.create({ data: { kind: "product-index", shop } });
+  }
+  return prisma.productIndexState.findUnique({ where: { shop } });
+}
+
+/**
+ * Returns the shop's index state, queueing the first build when the shop has
+ * none. Pages read the rows built so far while `status` is "building".
+ */
+async function ensureProductIndex(shop) {
+  const state = await prisma.productIndexState.findUnique({ where: { shop } });
+  if (state) return state;
+  return queueProductIndexBuild(shop);
+}
+
+// One run's share of a build: a page of products per transaction, with the
+// cursor saved after each page. Rows the build didn't touch since it started
+// belong to products that are gone, and are dropped once it's done.
+async function runProductIndexStep(job, admin, { deadline }) {
+  let after = job.state?.after ?? null;
+
+  while (Date.now() < deadline) {
+    const page = await listProducts(admin, { first: SYNC_PAGE_SIZE, after });
+    await prisma.$transaction(page.products.map((summary) => summaryUpsert(job.shop, summary)));
+
+    after = page.pageInfo.endCursor;
+    await prisma.autoAssignJob.update({
+      where: { id: job.id },
+      data: { processed: { increment: page.products.length }, state: { after } },
+    });
+
+    if (!page.pageInfo.hasNextPage) {
+      await prisma.productSummary.deleteMany({
+        where: { shop: job.shop, indexedAt: { lt: job.startedAt } },
+      });
+      await prisma.productIndexState.update({
+        where: { shop: job.shop },
+        data: { status: "ready", syncedAt: new Date() },
+      });
+      return { done: true };
+    }
+  }
+
+  return { done: false };
+}
+
+function buildIndexWhere(shop, { query = "", status = "all", multiVariantOnly = false } = {}) {
+  return {
+    shop,
+    ...(multiVariantOnly ? { variantsCount: { gt: 1 } } : {}),
+    ...(status === "configured" ? { configuredValueCount: { gt: 0 } } : {}),
+    ...(status === "unconfigured" ? { configuredValueCount: 0 } : {}),
+    // Products with a map, or with variants a map could cover.
+    ...(status === "mappable"
+      ? { OR: [{ configuredValueCount: { gt: 0 } }, { variantsCount: { gt: 1 } }] }
+      : {}),
+    ...(query ? { title: { contains: query, mode: "insensitive" } } : {}),
+  };
+}
+
+// Mirrors listProducts: one page of summaries plus `pageInfo`, with row ids
+// as cursors.
+async function listIndexedProducts(
+  shop,
+  { first = 50, after = null, before = null, query = "", status = "all", multiVariantOnly = false } = {},
+) {
+  const backward = Boolean(before) && !after;
+  const cursor = backward ? before : after;
+
+  const rows = await prisma.productSummary.findMany({
+    where: buildIndexWhere(shop, { query, status, multiVariantOnly }),
+    orderBy: [{ productUpdatedAt: "desc" }, { id: "asc" }],
+    take: backward ? -(first + 1) : first + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+  });
+
+  const hasMore = rows.length > first;
+  const page = hasMore ? (backward ? rows.slice(1) : rows.slice(0, first)) : rows;
+
+  return {
+    products: page.map(fromSummaryRecord),
+    pageInfo: {
+      hasNextPage: backward ? true : hasMore,
+      hasPreviousPage: backward ? hasMore : Boolean(after),
+      startCursor: page[0]?.id ?? null,
+      endCursor: page[page.length - 1]?.id ?? null,
+    },
+  };
+}
+
+async function countIndexedProducts(shop, options = {}) {
+  return prisma.productSummary.count({ where: buildIndexWhere(shop, options) });
+}
+
+export {
+  upsertProductSummary,
+  refreshProductSummary,
+  optionSnapshotFromPayload,
+  getOptionSnapshot,
+  deleteProductSummary,
+  deleteShopProductIndex,
+  queueProductIndexBuild,
+  ensureProductIndex,
+  runProductIndexStep,
+  listIndexedProducts,
+  countIndexedProducts,
+};
@@ -0,0 +1,106 @@
+import prisma from "../db.server";
+import { resolveRuleSettings } from "../utils/settings-rules";
+import { getRuleProduct, listRuleProducts, saveProductRuleSettings } from "./variant-images.server";
+
+// Reading collections costs a point per collection for every product, so
+// pages are smaller when a rule needs them.
+const RULE_SYNC_PAGE_SIZE = 100;
+const RULE_SYNC_PAGE_SIZE_WITH_COLLECTIONS = 15;
+
+function needsCollections(rules) {
+  return rules.some((rule) => rule.match === "collection");
+}
+
+function isSameSettings(a, b) {
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => JSON.stringify(a[key]) === JSON.stringify(b[key]))
+  );
+}
+
+/**
+ * Queues a re-evaluation of the shop's settings rules for every product. A
+ * run still going for earlier rules is stopped, so it can't write stale
+ * results after this one.
+ */
+async function queueRuleSettingsSync(shop, rules) {
+  await prisma.autoAssignJob.updateMany({
+    where: { shop, kind: "settings-rules", finishedAt: null },
+    data: { status: "failed", error: "Replaced by a newer run", finishedAt: new Date() },
+  });
+  return prisma.autoAssignJob.create({ data: { kind: "settings-rules", shop, rules } });
+}
+
+// Latest run for the settings page: `processed` counts products checked and
+// `assigned` those whose rule settings changed.
+async function getLatestRuleSettingsSync(shop) {
+  return prisma.autoAssignJob.findFirst({
+    where: { shop, kind: "settings-rules" },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+// One run's share of a re-evaluation: a page of products at a time, saving
+// only products whose rule settings changed, with the cursor saved after
+// each page. Stops early once a newer run replaced this one.
+async function runRuleSettingsStep(job, admin, { deadline }) {
+  const rules = Array.isArray(job.rules) ? job.rules : [];
+  const withCollections = needsCollections(rules);
+  const first = withCollections ? RULE_SYNC_PAGE_SIZE_WITH_COLLECTIONS : RULE_SYNC_PAGE_SIZE;
+  let after = job.state?.after ?? null;
+
+  while (Date.now() < deadline) {
+    const page = await listRuleProducts(admin, { first, after, withCollections });
+    const changed = [];
+    for (const product of page.products) {
+      const settings = resolveRuleSettings(rules, product);
+      if (!isSameSettings(settings, product.ruleSettings)) {
+        changed.push({ productId: product.id, settings });
+      }
+    }
+
+    const current = await prisma.autoAssignJob.findUnique({
+      where: { id: job.id },
+      select: { status: true },
+    });
+    if (current?.status !== "running") return { done: true };
+
+    await saveProductRuleSettings(admin, changed);
+    after = page.pageInfo.endCursor;
+    await prisma.autoAssignJob.update({
+      where: { id: job.id },
+      data: {
+        processed: { increment: page.products.length },
+        assigned: { increment: changed.length },
+        state: { after },
+      },
+    });
+
+    if (!page.pageInfo.hasNextPage) return { done: true };
+  }
+
+  return { done: false };
+}
+
+// Same for one product, after its tags, vendor or type may have changed.
+// Returns whether its rule settings were rewritten.
+async function syncProductRuleSettings(admin, productId, rules) {
+  const product = await getRuleProduct(admin, productId, {
+    withCollections: needsCollections(rules),
+  });
+  if (!product) return false;
+
+  const settings = resolveRuleSettings(rules, product);
+  if (isSameSettings(settings, product.ruleSettings)) return false;
+
+  await saveProductRuleSettings(admin, [{ productId, settings }]);
+  return true;
+}
+
+export {
+  queueRuleSettingsSync,
+  getLatestRuleSettingsSync,
+  runRuleSettingsStep,
+  syncProductRuleSettings,
+};
@@ -0,0 +1,72 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import prisma from "../db.server";
+import { runRuleSettingsStep } from "./settings-rules.server";
+import { listRuleProducts, saveProductRuleSettings } from "./variant-images.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+vi.mock("./variant-images.server", () => ({
+  getRuleProduct: vi.fn(),
+  listRuleProducts: vi.fn(),
+  saveProductRuleSettings: vi.fn(),
+}));
+
+function ruleProduct(id, { tags = [], ruleSettings = {} } = {}) {
+  return { id: `gid://shopify/Product/${id}`, tags, ruleSettings };
+}
+
+describe("runRuleSettingsStep", () => {
+  const job = {
+    id: "job-1",
+    shop: "lens-test.myshopify.com",
+    rules: [{ match: "tag", value: "lifestyle", settings: { hideUnassignedImages: false } }],
+    state: null,
+  };
+  let status;
+  let jobUpdates;
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    status = "running";
+    jobUpdates = [];
+    prisma.autoAssignJob = {
+      findUnique: async () => ({ status }),
+      update: async ({ data }) => jobUpdates.push(data),
+    };
+  });
+
+  it("saves only products whose rule settings changed", async () => {
+    listRuleProducts.mockResolvedValueOnce({
+      products: [
+        ruleProduct(1, { tags: ["lifestyle"] }),
+        ruleProduct(2, { tags: ["lifestyle"], ruleSettings: { hideUnassignedImages: false } }),
+        ruleProduct(3, { ruleSettings: { hideUnassignedImages: false } }),
+      ],
+      pageInfo: { hasNextPage: false, endCursor: "c1" },
+    });
+
+    const result = await runRuleSettingsStep(job, {}, { deadline: Date.now() + 1000 });
+
+    expect(result).toEqual({ done: true });
+    expect(saveProductRuleSettings).toHaveBeenCalledWith({}, [
+      { productId: "gid://shopify/Product/1", settings: { hideUnassignedImages: false } },
+      { productId: "gid://shopify/Product/3", settings: {} },
+    ]);
+    expect(jobUpdates).toEqual([
+      { processed: { increment: 3 }, assigned: { increment: 2 }, state: { after: "c1" } },
+    ]);
+  });
+
+  it("stops without saving once a newer run replaced it", async () => {
+    status = "failed";
+    listRuleProducts.mockResolvedValueOnce({
+      products: [ruleProduct(1, { tags: ["lifestyle"] })],
+      pageInfo: { hasNextPage: true, endCursor: "c1" },
+    });
+
+    const result = await runRuleSettingsStep(job, {}, { deadline: Date.now() + 1000 });
+
+    expect(result).toEqual({ done: true });
+    expect(saveProductRuleSettings).not.toHaveBeenCalled();
+    expect(jobUpdates).toEqual([]);
+  });
+});
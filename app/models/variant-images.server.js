@@ -1,26 +1,71 @@
 import { toNumericId } from "../utils/ids";
+import {
+  COMBINATION_SEPARATOR,
+  COMBINATION_WILDCARD,
+  parseCombinationKey,
+  toCombinationKey,
+} from "../utils/combinations";
+import { FALLBACK_MODES } from "../utils/fallback";
+import { PRODUCT_SETTING_KEYS } from "../utils/product-settings";
+import { RULE_MATCHES, RULE_SETTING_KEYS } from "../utils/settings-rules";
 
 const METAFIELD_NAMESPACE = "variant_images";
 const MAP_METAFIELD_KEY = "image_map";
 const SETTINGS_METAFIELD_KEY = "settings";
+// Product-owned: the settings of every rule the product matches, written by
+// the app so the storefront doesn't have to evaluate rules.
+const RULE_SETTINGS_METAFIELD_KEY = "rule_settings";
 
 const DEFAULT_SETTINGS = {
   enabled: true,
   allowSharedImages: true,
   hideUnassignedImages: false,
+  reorderGallery: false,
+  syncFeaturedToVariants: false,
+  // CSS selector lists that take precedence over the storefront script's
+  // built-in theme selectors; empty means use the built-in list.
+  selectors: {
+    gallery: "",
+    thumbnail: "",
+    variantInput: "",
+  },
+  // What the storefront shows for a value without images. "inherit" shows
+  // the images of `value`, or of the first mapped value when it's empty.
+  fallback: {
+    mode: "none",
+    value: "",
+  },
+  // Settings applied to products by collection, tag, vendor or product type.
+  rules: [],
 };
 
+const MAX_SELECTOR_LENGTH = 500;
+const MAX_SETTINGS_RULES = 50;
+
 async function adminGraphql(admin, query, variables) {
   const response = await admin.graphql(query, variables ? { variables } : undefined);
   const json = await response.json();
 
   if (json.errors?.length) {
-    throw new Error(json.errors[0].message);
+    const error = new Error(json.errors[0].message);
+    error.graphQLErrors = json.errors;
+    throw error;
   }
 
   return json.data;
 }
 
+// Shopify refuses queries once a shop's API cost budget is spent, either with
+// a THROTTLED GraphQL error (from adminGraphql, or the client's own
+// GraphqlQueryError) or a 429. The budget refills within seconds.
+function isThrottledError(error) {
+  const graphQLErrors = error?.graphQLErrors ?? error?.body?.errors?.graphQLErrors ?? [];
+  return (
+    error?.response?.code === 429 ||
+    graphQLErrors.some((graphQLError) => graphQLError.extensions?.code === "THROTTLED")
+  );
+}
+
 function stripJsonComments(text) {
   if (typeof text !== "string") return text;
   return text.replace(/^\uFEFF?\s*\/\*[\s\S]*?\*\/\s*/u, "");
@@ -38,6 +83,55 @@ function safeParseJson(value, fallback) {
   }
 }
 
+function normalizeSelectors(input) {
+  const source = input && typeof input === "object" && !Array.isArray(input) ? input : {};
+  return Object.fromEntries(
+    Object.keys(DEFAULT_SETTINGS.selectors).map((key) => [
+      key,
+      typeof source[key] === "string" ? source[key].trim().slice(0, MAX_SELECTOR_LENGTH) : "",
+    ]),
+  );
+}
+
+// Returns null when the input names no known mode, so product maps can tell
+// "not overridden" apart from an explicit choice.
+function normalizeFallback(input) {
+  if (!input || typeof input !== "object" || !FALLBACK_MODES.includes(input.mode)) return null;
+  return {
+    mode: input.mode,
+    value: input.mode === "inherit" && typeof input.value === "string" ? input.value.trim() : "",
+  };
+}
+
+// The boolean settings in `keys` plus `fallback`, each only when set.
+function normalizeOverrides(rawSettings, keys) {
+  const settings = {};
+  if (!rawSettings || typeof rawSettings !== "object" || Array.isArray(rawSettings)) {
+    return settings;
+  }
+
+  for (const key of keys) {
+    if (typeof rawSettings[key] === "boolean") settings[key] = rawSettings[key];
+  }
+  const fallback = normalizeFallback(rawSettings.fallback);
+  if (fallback) settings.fallback = fallback;
+
+  return settings;
+}
+
+function normalizeSettingsRules(input) {
+  if (!Array.isArray(input)) return [];
+  return input
+    .filter((rule) => rule && typeof rule === "object" && RULE_MATCHES.includes(rule.match))
+    .map((rule) => ({
+      match: rule.match,
+      value: typeof rule.value === "string" ? rule.value.trim() : "",
+      settings: normalizeOverrides(rule.settings, RULE_SETTING_KEYS),
+    }))
+    .filter((rule) => rule.value)
+    .slice(0, MAX_SETTINGS_RULES);
+}
+
 function normalizeSettings(rawSettings) {
   const input = safeParseJson(rawSettings, {});
   return {
@@ -50,9 +144,32 @@ function normalizeSettings(rawSettings) {
       typeof input.hideUnassignedImages === "boolean"
         ? input.hideUnassignedImages
         : DEFAULT_SETTINGS.hideUnassignedImages,
+    reorderGallery:
+      typeof input.reorderGallery === "boolean"
+        ? input.reorderGallery
+        : DEFAULT_SETTINGS.reorderGallery,
+    syncFeaturedToVariants:
+      typeof input.syncFeaturedToVariants === "boolean"
+        ? input.syncFeaturedToVariants
+        : DEFAULT_SETTINGS.syncFeaturedToVariants,
+    selectors: normalizeSelectors(input.selectors),
+    fallback: normalizeFallback(input.fallback) ?? { ...DEFAULT_SETTINGS.fallback },
+    rules: normalizeSettingsRules(input.rules),
   };
 }
 
+function normalizeImageList(value, validImageSet) {
+  const candidateImages = Array.isArray(value)
+    ? value
+    : Array.isArray(value?.imageIds)
+      ? value.imageIds
+      : [];
+
+  return [...new Set(candidateImages.map(toNumericId).filter(Boolean))].filter((imageId) => {
+    return validImageSet ? validImageSet.has(imageId) : true;
+  });
+}
+
 function normalizeMapping(rawMapping, validVariantIds = [], validImageIds = []) {
   const parsed = safeParseJson(rawMapping, {});
 
@@ -73,15 +190,7 @@ function normalizeMapping(rawMapping, validVariantIds = [], validImageIds = [])
     if (!variantId) continue;
     if (validVariantSet && !validVariantSet.has(variantId)) continue;
 
-    const candidateImages = Array.isArray(value)
-      ? value
-      : Array.isArray(value?.imageIds)
-        ? value.imageIds
-        : [];
-
-    const imageIds = [...new Set(candidateImages.map(toNumericId).filter(Boolean))].filter((imageId) => {
-      return validImageSet ? validImageSet.has(imageId) : true;
-    });
+    const imageIds = normalizeImageList(value, validImageSet);
 
     if (imageIds.length > 0) {
       normalized[variantId] = imageIds;
@@ -107,29 +216,150 @@ function normalizeOptionMapping(rawMapping, validOptionValues = [], validImageId
     if (!optionValue) continue;
     if (validValuesSet && !validValuesSet.has(optionValue)) continue;
 
-    const candidateImages = Array.isArray(value)
-      ? value
-      : Array.isArray(value?.imageIds)
-        ? value.imageIds
-        : [];
+    const imageIds = normalizeImageList(value, validImageSet);
 
-    const imageIds = [...new Set(candidateImages.map(toNumericId).filter(Boolean))].filter((imageId) => {
-      return validImageSet ? validImageSet.has(imageId) : true;
+    if (imageIds.length > 0) {
+      normalized[optionValue] = imageIds;
+    }
+  }
+
+  return normalized;
+}
+
+// Combination keys hold one value (or the wildcard) per mapped option.
+// `options` is the list of mapped options ({ name, values }) in key order.
+function normalizeCombinationMapping(rawMapping, options = [], validImageIds = []) {
+  const parsed = safeParseJson(rawMapping, {});
+  const source = parsed && typeof parsed === "object" && parsed.mapping ? parsed.mapping : parsed;
+
+  if (!source || typeof source !== "object" || Array.isArray(source)) {
+    return {};
+  }
+
+  const validValueSets = options.map((option) =>
+    option.values?.length ? new Set(option.values) : null,
+  );
+  const validImageSet = validImageIds.length ? new Set(validImageIds.map(toNumericId)) : null;
+  const normalized = {};
+
+  for (const [rawKey, value] of Object.entries(source)) {
+    const parts = parseCombinationKey(rawKey);
+    if (parts.length !== options.length) continue;
+
+    const isValid = parts.every((part, index) => {
+      if (part === COMBINATION_WILDCARD) return true;
+      if (!part) return false;
+      return validValueSets[index] ? validValueSets[index].has(part) : true;
     });
+    if (!isValid) continue;
 
+    const imageIds = normalizeImageList(value, validImageSet);
     if (imageIds.length > 0) {
-      normalized[optionValue] = imageIds;
+      const key = toCombinationKey(parts);
+      normalized[key] = [...new Set([...(normalized[key] ?? []), ...imageIds])];
     }
   }
 
   return normalized;
 }
 
+// featured: { [mapping key]: imageId } names the image shown first for a
+// value and synced to its variants. Only images assigned to that key count.
+function normalizeFeatured(rawFeatured, mapping, normalizeKey = (key) => key) {
+  const featured = {};
+  if (!rawFeatured || typeof rawFeatured !== "object" || Array.isArray(rawFeatured)) {
+    return featured;
+  }
+
+  for (const [rawKey, rawImageId] of Object.entries(rawFeatured)) {
+    const key = normalizeKey(rawKey);
+    const imageId = toNumericId(rawImageId);
+    if (key && imageId && mapping[key]?.includes(imageId)) {
+      featured[key] = imageId;
+    }
+  }
+
+  return featured;
+}
+
+// Maps without featured images are saved without the field, so existing maps
+// still compare equal after normalizing.
+function withFeatured(result, rawFeatured, normalizeKey) {
+  const featured = normalizeFeatured(rawFeatured, result.mapping, normalizeKey);
+  return Object.keys(featured).length > 0 ? { ...result, featured } : result;
+}
+
+function combinationKeyOf(key) {
+  return toCombinationKey(parseCombinationKey(key));
+}
+
+// Per-product overrides of the shop settings, saved with the map:
+// { hideUnassignedImages: true, fallback: { mode: "inherit", value: "Black" } }.
+// Settings left to the shop are omitted. An inherited value is only kept
+// while it has images.
+function normalizeProductSettings(rawSettings, mapping, normalizeKey = (key) => key) {
+  const settings = normalizeOverrides(rawSettings, PRODUCT_SETTING_KEYS);
+  if (settings.fallback) {
+    const key = settings.fallback.value ? normalizeKey(settings.fallback.value) : "";
+    settings.fallback = { ...settings.fallback, value: key && mapping[key] ? key : "" };
+  }
+  return settings;
+}
+
+function withProductSettings(result, rawSettings, normalizeKey) {
+  const settings = normalizeProductSettings(rawSettings, result.mapping, normalizeKey);
+  return Object.keys(settings).length > 0 ? { ...result, settings } : result;
+}
+
 function normalizeProductMapping(rawValue, productOptions = [], variants = [], imageIds = []) {
   const parsed = safeParseJson(rawValue, {});
+  const normalizeKey =
+    parsed?.mode === "combination"
+      ? combinationKeyOf
+      : parsed?.mode === "variant"
+        ? toNumericId
+        : undefined;
+  return withProductSettings(
+    normalizeMapFormat(parsed, productOptions, variants, imageIds),
+    parsed?.settings,
+    normalizeKey,
+  );
+}
+
+function normalizeMapFormat(parsed, productOptions, variants, imageIds) {
   const optionsList = Array.isArray(productOptions) ? productOptions : [];
   const fallbackOptionName = optionsList[0]?.name ?? "Option";
 
+  // Combination format:
+  // { mode: "combination", optionNames: ["Color", "Material"],
+  //   mapping: { "Red / Leather": ["123"], "Red / *": ["456"] } }
+  if (parsed && typeof parsed === "object" && parsed.mode === "combination") {
+    const requestedNames = Array.isArray(parsed.optionNames) ? parsed.optionNames : [];
+    const mappedOptions = [...new Set(requestedNames)]
+      .map((name) => optionsList.find((option) => option.name === name))
+      .filter(Boolean);
+
+    if (mappedOptions.length >= 2) {
+      return withFeatured(
+        {
+          mode: "combination",
+          optionNames: mappedOptions.map((option) => option.name),
+          mapping: normalizeCombinationMapping(parsed.mapping ?? {}, mappedOptions, imageIds),
+        },
+        parsed.featured,
+        combinationKeyOf,
+      );
+    }
+
+    // Options were removed from the product since the map was saved, so the
+    // stored keys no longer line up. Start over on a single option.
+    return {
+      mode: "option",
+      optionName: mappedOptions[0]?.name ?? fallbackOptionName,
+      mapping: {},
+    };
+  }
+
   // New format:
   // { mode: "option", optionName: "Color", mapping: { Black: ["123"], Red: ["456"] } }
   if (parsed && typeof parsed === "object" && parsed.mode === "option") {
@@ -138,39 +368,42 @@ function normalizeProductMapping(rawValue, productOptions = [], variants = [], i
       : fallbackOptionName;
     const optionValues = optionsList.find((option) => option.name === optionName)?.values ?? [];
     const mapping = normalizeOptionMapping(parsed.mapping ?? {}, optionValues, imageIds);
-    return {
-      mode: "option",
-      optionName,
-      mapping,
-    };
+    return withFeatured(
+      {
+        mode: "option",
+        optionName,
+        mapping,
+      },
+      parsed.featured,
+    );
   }
 
-  // Backward-compat old variant map:
-  // { "variantId": ["imgId"] }
-  const legacyVariantMap = normalizeMapping(
-    parsed,
+  // Per-variant format:
+  // { mode: "variant", mapping: { "variantId": ["imgId"] } }
+  // Legacy maps without a mode ({ "variantId": ["imgId"] }) are the same
+  // table, so they load as variant mode instead of being collapsed onto an
+  // option and losing variant-specific assignments.
+  const variantMap = normalizeMapping(
+    parsed && typeof parsed === "object" && parsed.mode === "variant" ? (parsed.mapping ?? {}) : parsed,
     variants.map((variant) => variant.id),
     imageIds,
   );
 
-  const optionName = fallbackOptionName;
-  const optionValueByVariant = new Map();
-  for (const variant of variants) {
-    const selected = (variant.selectedOptions ?? []).find((opt) => opt.name === optionName);
-    optionValueByVariant.set(toNumericId(variant.id), selected?.value ?? null);
-  }
-
-  const optionMap = {};
-  for (const [variantId, imageList] of Object.entries(legacyVariantMap)) {
-    const optionValue = optionValueByVariant.get(variantId);
-    if (!optionValue) continue;
-    optionMap[optionValue] = [...new Set([...(optionMap[optionValue] ?? []), ...imageList])];
+  if (parsed?.mode === "variant" || Object.keys(variantMap).length > 0) {
+    return withFeatured(
+      {
+        mode: "variant",
+        mapping: variantMap,
+      },
+      parsed?.mode === "variant" ? parsed.featured : null,
+      toNumericId,
+    );
   }
 
   return {
     mode: "option",
-    optionName,
-    mapping: optionMap,
+    optionName: fallbackOptionName,
+    mapping: {},
   };
 }
 
@@ -186,6 +419,16 @@ const ENSURE_DEFINITIONS_MUTATION = `#graphql
     }) {
       userErrors { message }
     }
+    ruleSettingsDefinition: metafieldDefinitionCreate(definition: {
+      name: "Variant Image Rule Settings"
+      namespace: "${METAFIELD_NAMESPACE}"
+      key: "${RULE_SETTINGS_METAFIELD_KEY}"
+      type: "json"
+      ownerType: PRODUCT
+      access: { storefront: PUBLIC_READ }
+    }) {
+      userErrors { message }
+    }
     shopDefinition: metafieldDefinitionCreate(definition: {
       name: "Variant Image Settings"
       namespace: "${METAFIELD_NAMESPACE}"
@@ -328,48 +571,72 @@ async function getThemeEmbedStatus(admin) {
   }
 }
 
+const PRODUCT_SUMMARY_FIELDS = `
+  id
+  title
+  handle
+  updatedAt
+  onlineStoreUrl
+  featuredImage {
+    id
+    url
+    altText
+  }
+  mediaCount {
+    count
+  }
+  variantsCount {
+    count
+  }
+  metafield(namespace: "${METAFIELD_NAMESPACE}", key: "${MAP_METAFIELD_KEY}") {
+    value
+    updatedAt
+  }
+`;
+
 const PRODUCTS_QUERY = `#graphql
-  query ListProductsForVariantImages($first: Int!, $query: String) {
-    products(first: $first, query: $query, sortKey: UPDATED_AT, reverse: true) {
+  query ListProductsForVariantImages(
+    $first: Int
+    $last: Int
+    $after: String
+    $before: String
+    $query: String
+  ) {
+    products(
+      first: $first
+      last: $last
+      after: $after
+      before: $before
+      query: $query
+      sortKey: UPDATED_AT
+      reverse: true
+    ) {
       edges {
+        cursor
         node {
-          id
-          title
-          handle
-          updatedAt
-          onlineStoreUrl
-          images(first: 8) {
-            edges {
-              node {
-                id
-                url
-                altText
-              }
-            }
-          }
-          variants(first: 100) {
-            edges {
-              node {
-                id
-                title
-              }
-            }
-          }
-          metafield(namespace: "${METAFIELD_NAMESPACE}", key: "${MAP_METAFIELD_KEY}") {
-            value
-          }
+          ${PRODUCT_SUMMARY_FIELDS}
         }
       }
+      pageInfo {
+        hasNextPage
+        hasPreviousPage
+        startCursor
+        endCursor
+      }
     }
   }
 `;
 
+// Status filters can't be expressed in the product search syntax, so the
+// server walks Shopify pages until it has a full page of matches. Cap the
+// walk so one request never scans the whole catalog.
+const PRODUCT_SCAN_PAGE_SIZE = 100;
+const PRODUCT_SCAN_MAX_PAGES = 5;
+
 function summarizeProduct(node) {
-  const variants = node.variants.edges.map((edge) => edge.node);
-  const images = node.images.edges.map((edge) => edge.node);
   const parsed = safeParseJson(node.metafield?.value, {});
   const mappingTable =
-    parsed && typeof parsed === "object" && parsed.mode === "option"
+    parsed && typeof parsed === "object" && typeof parsed.mode === "string"
       ? safeParseJson(parsed.mapping, {})
       : safeParseJson(parsed, {});
 
@@ -388,18 +655,144 @@ function summarizeProduct(node) {
     handle: node.handle,
     updatedAt: node.updatedAt,
     onlineStoreUrl: node.onlineStoreUrl,
-    image: images[0] ?? null,
-    mediaCount: images.length,
-    variantsCount: variants.length,
+    image: node.featuredImage ?? null,
+    mediaCount: node.mediaCount?.count ?? 0,
+    variantsCount: node.variantsCount?.count ?? 0,
+    mappingMode: typeof parsed?.mode === "string" ? parsed.mode : configuredVariants > 0 ? "variant" : null,
+    mappingUpdatedAt: node.metafield?.updatedAt ?? null,
     configuredVariants,
     assignedImagesCount: assignedImageIds.size,
     isConfigured: configuredVariants > 0,
   };
 }
 
-async function listProducts(admin, { first = 50, query = "" } = {}) {
-  const data = await adminGraphql(admin, PRODUCTS_QUERY, { first, query: query || null });
-  return data.products.edges.map((edge) => summarizeProduct(edge.node));
+function matchesProductStatus(product, status) {
+  if (status === "configured") return product.isConfigured;
+  if (status === "unconfigured") return !product.isConfigured;
+  return true;
+}
+
+// Walks pages forward (after) or backward (before) collecting up to `first`
+// products that match `status`. The returned cursors point at the first and
+// last returned product, or at the last scanned product when the walk was
+// capped, so following them never skips a match.
+async function scanProducts(admin, { first, after, before, query, status }) {
+  const backward = Boolean(before) && !after;
+  const matches = [];
+  let cursor = backward ? before : after;
+  let hasMore = true;
+  let scannedCursor = cursor ?? null;
+
+  for (let page = 0; page < PRODUCT_SCAN_MAX_PAGES && hasMore && matches.length < first; page += 1) {
+    const data = await adminGraphql(admin, PRODUCTS_QUERY, {
+      ...(backward
+        ? { last: PRODUCT_SCAN_PAGE_SIZE, before: cursor }
+        : { first: PRODUCT_SCAN_PAGE_SIZE, after: cursor ?? null }),
+      query,
+    });
+    const { edges, pageInfo } = data.products;
+    const ordered = backward ? [...edges].reverse() : edges;
+
+    hasMore = backward ? pageInfo.hasPreviousPage : pageInfo.hasNextPage;
+    cursor = backward ? pageInfo.startCursor : pageInfo.endCursor;
+
+    for (let index = 0; index < ordered.length; index += 1) {
+      const edge = ordered[index];
+      scannedCursor = edge.cursor;
+      const product = summarizeProduct(edge.node);
+      if (!matchesProductStatus(product, status)) continue;
+
+      matches.push({ cursor: edge.cursor, product });
+      if (matches.length === first) {
+        hasMore = hasMore || index < ordered.length - 1;
+        break;
+      }
+    }
+  }
+
+  const filled = matches.length === first;
+  const boundaryCursor = filled ? matches[matches.length - 1].cursor : scannedCursor;
+  const ordered = backward ? [...matches].reverse() : matches;
+  const products = ordered.map((match) => match.product);
+
+  if (backward) {
+    return {
+      products,
+      pageInfo: {
+        hasNextPage: true,
+        hasPreviousPage: hasMore,
+        startCursor: boundaryCursor,
+        endCursor: ordered[ordered.length - 1]?.cursor ?? before,
+      },
+    };
+  }
+
+  return {
+    products,
+    pageInfo: {
+      hasNextPage: hasMore,
+      hasPreviousPage: Boolean(after),
+      startCursor: ordered[0]?.cursor ?? after ?? null,
+      endCursor: boundaryCursor,
+    },
+  };
+}
+
+// Returns one page of products plus Shopify-style `pageInfo` cursors.
+// status: "all" | "configured" | "unconfigured"
+async function listProducts(
+  admin,
+  { first = 50, after = null, before = null, query = "", status = "all", multiVariantOnly = false } = {},
+) {
+  const searchQuery =
+    [query, multiVariantOnly ? "has_only_default_variant:false" : ""].filter(Boolean).join(" ") ||
+    null;
+
+  if (status === "configured" || status === "unconfigured") {
+    return scanProducts(admin, { first, after, before, query: searchQuery, status });
+  }
+
+  const data = await adminGraphql(admin, PRODUCTS_QUERY, {
+    ...(before && !after ? { last: first, before } : { first, after }),
+    query: searchQuery,
+  });
+
+  return {
+    products: data.products.edges.map((edge) => summarizeProduct(edge.node)),
+    pageInfo: data.products.pageInfo,
+  };
+}
+
+const PRODUCT_SUMMARY_QUERY = `#graphql
+  query GetProductSummaryForVariantImages($id: ID!) {
+    product(id: $id) {
+      ${PRODUCT_SUMMARY_FIELDS}
+    }
+  }
+`;
+
+async function getProductSummary(admin, productId) {
+  const data = await adminGraphql(admin, PRODUCT_SUMMARY_QUERY, { id: productId });
+  return data.product ? summarizeProduct(data.product) : null;
+}
+
+const PRODUCT_ID_BY_HANDLE_QUERY = `#graphql
+  query FindProductIdByHandle($query: String!) {
+    products(first: 1, query: $query) {
+      nodes {
+        id
+        handle
+      }
+    }
+  }
+`;
+
+async function findProductIdByHandle(admin, handle) {
+  const data = await adminGraphql(admin, PRODUCT_ID_BY_HANDLE_QUERY, {
+    query: `handle:'${String(handle).replace(/'/g, "\\'")}'`,
+  });
+  const match = data.products.nodes.find((node) => node.handle === handle);
+  return match?.id ?? null;
 }
 
 const PRODUCT_DETAIL_QUERY = `#graphql
@@ -414,14 +807,41 @@ const PRODUCT_DETAIL_QUERY = `#graphql
         name
         values
       }
-      images(first: 250) {
+      images(first: 50) {
         edges {
           node {
             id
             url
-            altText
           }
         }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+      media(first: 50) {
+        edges {
+          node {
+            id
+            alt
+            mediaContentType
+            preview {
+              image {
+                url
+                altText
+              }
+            }
+            ... on MediaImage {
+              image {
+                url
+              }
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
       }
       variants(first: 100) {
         edges {
@@ -434,28 +854,180 @@ const PRODUCT_DETAIL_QUERY = `#graphql
             }
           }
         }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
       }
       metafield(namespace: "${METAFIELD_NAMESPACE}", key: "${MAP_METAFIELD_KEY}") {
         value
       }
+      ruleSettings: metafield(namespace: "${METAFIELD_NAMESPACE}", key: "${RULE_SETTINGS_METAFIELD_KEY}") {
+        value
+      }
     }
   }
 `;
 
-async function getProductForAssignment(admin, productId) {
+const PRODUCT_VARIANTS_PAGE_QUERY = `#graphql
+  query GetProductVariantsPage($id: ID!, $after: String) {
+    product(id: $id) {
+      variants(first: 250, after: $after) {
+        edges {
+          node {
+            id
+            title
+            selectedOptions {
+              name
+              value
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+const PRODUCT_MEDIA_PAGE_QUERY = `#graphql
+  query GetProductMediaPage($id: ID!, $after: String) {
+    product(id: $id) {
+      media(first: 100, after: $after) {
+        edges {
+          node {
+            id
+            alt
+            mediaContentType
+            preview {
+              image {
+                url
+                altText
+              }
+            }
+            ... on MediaImage {
+              image {
+                url
+              }
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+const PRODUCT_IMAGES_PAGE_QUERY = `#graphql
+  query GetProductImagesPage($id: ID!, $after: String) {
+    product(id: $id) {
+      images(first: 250, after: $after) {
+        edges {
+          node {
+            id
+            url
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+// The nodes of a product connection PRODUCT_DETAIL_QUERY started, reading the
+// rest with `pageQuery`. The detail query only takes a first page of each
+// connection to stay under the Admin API's cost limit for a single query.
+async function readConnection(admin, productId, field, connection, pageQuery) {
+  const nodes = connection.edges.map((edge) => edge.node);
+  let pageInfo = connection.pageInfo;
+  while (pageInfo.hasNextPage) {
+    const page = await adminGraphql(admin, pageQuery, {
+      id: productId,
+      after: pageInfo.endCursor,
+    });
+    if (!page.product) throw new Error(`Product not found while reading its ${field}`);
+    nodes.push(...page.product[field].edges.map((edge) => edge.node));
+    pageInfo = page.product[field].pageInfo;
+  }
+  return nodes;
+}
+
+// PRODUCT_DETAIL_QUERY with every variant and media: products can have up to
+// 2048 variants, and a variant or media left out would have its assignments
+// pruned as if it were deleted. Returns { product, variants, media } with media
+// as toProductMedia gives it, or null when the product is gone.
+async function getProductDetail(admin, productId) {
   const data = await adminGraphql(admin, PRODUCT_DETAIL_QUERY, { id: productId });
   const product = data.product;
-
   if (!product) return null;
 
-  const images = product.images.edges.map((edge) => edge.node);
-  const variants = product.variants.edges.map((edge) => edge.node);
+  const variants = await readConnection(
+    admin,
+    productId,
+    "variants",
+    product.variants,
+    PRODUCT_VARIANTS_PAGE_QUERY,
+  );
+  const mediaNodes = await readConnection(
+    admin,
+    productId,
+    "media",
+    product.media,
+    PRODUCT_MEDIA_PAGE_QUERY,
+  );
+  const images = await readConnection(
+    admin,
+    productId,
+    "images",
+    product.images,
+    PRODUCT_IMAGES_PAGE_QUERY,
+  );
+
+  return { product, variants, media: toProductMedia(mediaNodes, images) };
+}
+
+function stripUrlQuery(url) {
+  return url ? String(url).split("?")[0] : "";
+}
+
+// Gallery media in gallery order: [{ id, mediaId, mediaContentType, url, altText }].
+// `id` is what maps store: images keep their ProductImage ID (maps predate
+// media support), while videos, external videos and 3D models use their
+// media ID. `url` is the image or the poster/preview, null while processing.
+function toProductMedia(mediaNodes, images) {
+  const imageIdsByUrl = new Map(images.map((image) => [stripUrlQuery(image.url), image.id]));
+
+  return mediaNodes.map((node) => {
+    const imageUrl = node.mediaContentType === "IMAGE" ? node.image?.url : null;
+    return {
+      id: (imageUrl && imageIdsByUrl.get(stripUrlQuery(imageUrl))) || node.id,
+      mediaId: node.id,
+      mediaContentType: node.mediaContentType,
+      url: imageUrl ?? node.preview?.image?.url ?? null,
+      altText: node.alt || node.preview?.image?.altText || null,
+    };
+  });
+}
+
+async function getProductForAssignment(admin, productId) {
+  const detail = await getProductDetail(admin, productId);
+  if (!detail) return null;
+
+  const { product, variants, media } = detail;
 
   const mappingData = normalizeProductMapping(
     product.metafield?.value,
     product.options,
     variants,
-    images.map((image) => image.id),
+    media.map((item) => item.id),
   );
 
   return {
@@ -465,11 +1037,248 @@ async function getProductForAssignment(admin, productId) {
     handle: product.handle,
     onlineStoreUrl: product.onlineStoreUrl,
     options: product.options,
-    images,
+    media,
     variants,
     mappingMode: mappingData.mode,
-    optionName: mappingData.optionName,
+    optionName: mappingData.optionName ?? null,
+    optionNames: mappingData.optionNames ?? [],
     mapping: mappingData.mapping,
+    featured: mappingData.featured ?? {},
+    settings: mappingData.settings ?? {},
+    ruleSettings: normalizeOverrides(safeParseJson(product.ruleSettings?.value, {}), RULE_SETTING_KEYS),
+  };
+}
+
+// { "variantNumId": { "Color": "Red", "Size": "M" } }
+function toOptionSnapshot(variants = []) {
+  const snapshot = {};
+  for (const variant of variants) {
+    snapshot[toNumericId(variant.id)] = Object.fromEntries(
+      (variant.selectedOptions ?? []).map((opt) => [opt.name, opt.value]),
+    );
+  }
+  return snapshot;
+}
+
+// Compares two option snapshots taken before and after a product update and
+// returns { [optionName]: { [oldValue]: newValue } } for values that were
+// renamed. A value only counts as renamed when every variant that carried it
+// now carries the same new value and the old value is gone from the product.
+function inferOptionRenames(previousSnapshot, currentSnapshot) {
+  if (!previousSnapshot || !currentSnapshot) return {};
+
+  const candidates = {};
+  const conflicts = new Set();
+  const currentValues = {};
+
+  for (const options of Object.values(currentSnapshot)) {
+    for (const [name, value] of Object.entries(options)) {
+      (currentValues[name] ??= new Set()).add(value);
+    }
+  }
+
+  for (const [variantId, previousOptions] of Object.entries(previousSnapshot)) {
+    const currentOptions = currentSnapshot[variantId];
+    if (!currentOptions) continue;
+
+    for (const [name, oldValue] of Object.entries(previousOptions)) {
+      const newValue = currentOptions[name];
+      if (newValue === undefined) continue;
+
+      const conflictKey = `${name}\u0000${oldValue}`;
+      const renames = (candidates[name] ??= {});
+      if (newValue === oldValue || (renames[oldValue] && renames[oldValue] !== newValue)) {
+        conflicts.add(conflictKey);
+        continue;
+      }
+      renames[oldValue] = newValue;
+    }
+  }
+
+  const result = {};
+  for (const [name, renames] of Object.entries(candidates)) {
+    for (const [oldValue, newValue] of Object.entries(renames)) {
+      if (conflicts.has(`${name}\u0000${oldValue}`)) continue;
+      if (currentValues[name]?.has(oldValue)) continue;
+      (result[name] ??= {})[oldValue] = newValue;
+    }
+  }
+
+  return result;
+}
+
+function renameMappingKeys(mapping, renameKey) {
+  const renamed = {};
+  for (const [key, imageIds] of Object.entries(mapping ?? {})) {
+    const nextKey = renameKey(key);
+    renamed[nextKey] = [...new Set([...(renamed[nextKey] ?? []), ...(imageIds ?? [])])];
+  }
+  return renamed;
+}
+
+function renameFeaturedKeys(featured, renameKey) {
+  if (!featured || typeof featured !== "object") return featured;
+  return Object.fromEntries(
+    Object.entries(featured).map(([key, imageId]) => [renameKey(key), imageId]),
+  );
+}
+
+// Rewrites option-value keys of a stored map using inferOptionRenames output.
+function applyOptionRenames(parsed, optionRenames = {}) {
+  if (!parsed || typeof parsed !== "object" || !parsed.mapping) return parsed;
+
+  let renameKey = null;
+  if (parsed.mode === "option") {
+    const renames = optionRenames[parsed.optionName];
+    if (!renames) return parsed;
+    renameKey = (key) => renames[key] ?? key;
+  } else if (parsed.mode === "combination" && Array.isArray(parsed.optionNames)) {
+    renameKey = (key) =>
+      toCombinationKey(
+        parseCombinationKey(key).map((value, index) => {
+          if (value === COMBINATION_WILDCARD) return value;
+          return optionRenames[parsed.optionNames[index]]?.[value] ?? value;
+        }),
+      );
+  } else {
+    return parsed;
+  }
+
+  return {
+    ...parsed,
+    mapping: renameMappingKeys(parsed.mapping, renameKey),
+    ...(parsed.featured ? { featured: renameFeaturedKeys(parsed.featured, renameKey) } : {}),
+    ...(parsed.settings?.fallback?.value
+      ? {
+          settings: {
+            ...parsed.settings,
+            fallback: { ...parsed.settings.fallback, value: renameKey(parsed.settings.fallback.value) },
+          },
+        }
+      : {}),
+  };
+}
+
+// An empty valid-ID list means "don't validate" to the normalizers, so a map
+// for a product whose media were all deleted is cleared here, along with the
+// featured images and inherited fallback value that pointed into it.
+function withoutMedia(productMap) {
+  const next = { ...productMap, mapping: {} };
+  delete next.featured;
+  if (next.settings?.fallback?.value) {
+    next.settings = { ...next.settings, fallback: { ...next.settings.fallback, value: "" } };
+  }
+  return next;
+}
+
+// Re-normalizes a product's stored map against its current options, variants
+// and media, carrying renamed option values over to their new names, and
+// re-saves it when anything changed. Idempotent, so the products/update
+// webhook our own save triggers is a no-op.
+async function pruneProductMapping(admin, productId, { optionRenames = {} } = {}) {
+  const detail = await getProductDetail(admin, productId);
+  const product = detail?.product ?? null;
+  const rawValue = product?.metafield?.value;
+
+  if (!product || !rawValue) return { changed: false, product };
+
+  const { variants, media } = detail;
+  const stored = safeParseJson(rawValue, {});
+  const normalized = normalizeProductMapping(
+    applyOptionRenames(stored, optionRenames),
+    product.options,
+    variants,
+    media.map((item) => item.id),
+  );
+  const pruned = media.length === 0 ? withoutMedia(normalized) : normalized;
+
+  if (JSON.stringify(pruned) === JSON.stringify(stored)) {
+    return { changed: false, product, variants };
+  }
+
+  await saveProductMapping(admin, product.id, pruned);
+  return { changed: true, product, variants, previous: stored, mapping: pruned };
+}
+
+// Compares a stored map with the map pruneProductMapping would save for it.
+// Keys are checked first without media, so a value whose images were all
+// deleted counts as missing media rather than as a removed value.
+//   staleKeys       stored keys whose value, combination or variant is gone
+//   missingMedia    [{ key, imageId }] assigned media no longer on the product
+//   emptyKeys       option values, or variants for variant and combination
+//                   maps, that have no images
+//   unassignedMedia media IDs assigned to no key
+//   normalized      the pruned map; `changed` when it differs from the stored one
+function diffProductMapping(stored, productOptions, variants, media) {
+  const imageIds = media.map((item) => item.id);
+  const pruned = normalizeProductMapping(stored, productOptions, variants, imageIds);
+  // Same as pruneProductMapping: without media nothing stays assigned.
+  const normalized = media.length === 0 ? withoutMedia(pruned) : pruned;
+  const keyed = normalizeProductMapping(stored, productOptions, variants, []);
+
+  const storedTable = typeof stored?.mode === "string" ? stored.mapping : stored;
+  const storedKeys = Object.keys(storedTable && typeof storedTable === "object" ? storedTable : {});
+  // A map that fell back to another mode lost all its stored keys.
+  const sameMode = (stored?.mode ?? "variant") === keyed.mode;
+  const normalizeKey =
+    keyed.mode === "combination" ? combinationKeyOf : keyed.mode === "variant" ? toNumericId : (key) => key;
+  const staleKeys = storedKeys.filter((key) => !sameMode || !keyed.mapping[normalizeKey(key)]);
+
+  const validImageIds = new Set(imageIds.map(toNumericId));
+  const missingMedia = Object.entries(keyed.mapping).flatMap(([key, ids]) =>
+    ids.filter((imageId) => !validImageIds.has(imageId)).map((imageId) => ({ key, imageId })),
+  );
+
+  const hasImages = (key) => Boolean(key && normalized.mapping[key]?.length);
+  const emptyKeys =
+    normalized.mode === "option"
+      ? (productOptions.find((option) => option.name === normalized.optionName)?.values ?? []).filter(
+          (value) => !hasImages(value),
+        )
+      : variants
+          .filter((variant) => !hasImages(mappingKeyForVariant(normalized, variant)))
+          .map((variant) => toNumericId(variant.id));
+
+  const assignedIds = new Set(Object.values(normalized.mapping).flat());
+  const unassignedMedia = [...validImageIds].filter((imageId) => !assignedIds.has(imageId));
+
+  return {
+    staleKeys,
+    missingMedia,
+    emptyKeys,
+    unassignedMedia,
+    normalized,
+    changed: JSON.stringify(normalized) !== JSON.stringify(stored),
+  };
+}
+
+// Reads a product's stored map and diffs it against the product (see
+// diffProductMapping); null when the product is gone. Products without a map
+// never count as changed, as in pruneProductMapping.
+async function auditProductMapping(admin, productId) {
+  const detail = await getProductDetail(admin, productId);
+  if (!detail) return null;
+
+  const { product, variants, media } = detail;
+  const stored = safeParseJson(product.metafield?.value, {});
+  const diff = diffProductMapping(stored, product.options, variants, media);
+
+  return {
+    product: {
+      id: product.id,
+      numericId: toNumericId(product.id),
+      title: product.title,
+      handle: product.handle,
+      options: product.options,
+      media,
+      variants,
+      ruleSettings: normalizeOverrides(
+        safeParseJson(product.ruleSettings?.value, {}),
+        RULE_SETTING_KEYS,
+      ),
+    },
+    ...diff,
+    changed: Boolean(product.metafield?.value) && diff.changed,
   };
 }
 
@@ -481,7 +1290,73 @@ const SAVE_PRODUCT_MAPPING_MUTATION = `#graphql
   }
 `;
 
-async function saveProductMapping(admin, productId, mapping) {
+// Images assigned to more than one key, in the order they first appear:
+// [{ imageId, keys: [key, ...], keptOn }]. `keptOn` is the key
+// resolveSharedImages keeps the image on: the one it's featured on, or the
+// first.
+function findSharedImages(productMap) {
+  const keysByImageId = new Map();
+  for (const [key, imageIds] of Object.entries(productMap?.mapping ?? {})) {
+    for (const imageId of imageIds) {
+      if (!keysByImageId.has(imageId)) keysByImageId.set(imageId, []);
+      keysByImageId.get(imageId).push(key);
+    }
+  }
+
+  return [...keysByImageId]
+    .filter(([, keys]) => keys.length > 1)
+    .map(([imageId, keys]) => ({
+      imageId,
+      keys,
+      keptOn: keys.find((key) => productMap.featured?.[key] === imageId) ?? keys[0],
+    }));
+}
+
+// Removes each shared image from every key but its `keptOn` one. Keys left
+// without images, and featured images no longer on their key, are dropped.
+function resolveSharedImages(productMap) {
+  const conflicts = findSharedImages(productMap);
+  if (conflicts.length === 0) return productMap;
+
+  const keptOn = new Map(conflicts.map((conflict) => [conflict.imageId, conflict.keptOn]));
+  const mapping = {};
+  for (const [key, imageIds] of Object.entries(productMap.mapping)) {
+    const kept = imageIds.filter((imageId) => !keptOn.has(imageId) || keptOn.get(imageId) === key);
+    if (kept.length > 0) mapping[key] = kept;
+  }
+
+  const featured = Object.fromEntries(
+    Object.entries(productMap.featured ?? {}).filter(([key, imageId]) => mapping[key]?.includes(imageId)),
+  );
+  const next = { ...productMap, mapping, featured };
+  if (Object.keys(featured).length === 0) delete next.featured;
+  return next;
+}
+
+// Thrown when a map with shared images is saved for a product that doesn't
+// allow them. `conflicts` is the findSharedImages report.
+class SharedImagesError extends Error {
+  constructor(conflicts) {
+    super(
+      conflicts.length === 1
+        ? "1 image is assigned to more than one value"
+        : `${conflicts.length} images are assigned to more than one value`,
+    );
+    this.name = "SharedImagesError";
+    this.conflicts = conflicts;
+  }
+}
+
+// Products that don't allow shared images can't be saved with any.
+function assertNoSharedImages(productMap, allowSharedImages) {
+  if (allowSharedImages) return;
+  const conflicts = findSharedImages(productMap);
+  if (conflicts.length > 0) throw new SharedImagesError(conflicts);
+}
+
+async function saveProductMapping(admin, productId, mapping, { allowSharedImages = true } = {}) {
+  assertNoSharedImages(mapping, allowSharedImages);
+
   const data = await adminGraphql(admin, SAVE_PRODUCT_MAPPING_MUTATION, {
     metafields: [
       {
@@ -500,21 +1375,310 @@ async function saveProductMapping(admin, productId, mapping) {
   }
 }
 
+// metafieldsSet accepts at most 25 metafields per call.
+const METAFIELDS_SET_BATCH_SIZE = 25;
+
+// entries: [{ productId, mapping, allowSharedImages }]. Writes in
+// metafieldsSet-sized batches and throws on the first batch with user errors.
+// Every map is checked for shared images before anything is written.
+async function saveProductMappings(admin, entries) {
+  for (const entry of entries) {
+    assertNoSharedImages(entry.mapping, entry.allowSharedImages ?? true);
+  }
+
+  for (let start = 0; start < entries.length; start += METAFIELDS_SET_BATCH_SIZE) {
+    const batch = entries.slice(start, start + METAFIELDS_SET_BATCH_SIZE);
+    const data = await adminGraphql(admin, SAVE_PRODUCT_MAPPING_MUTATION, {
+      metafields: batch.map((entry) => ({
+        ownerId: entry.productId,
+        namespace: METAFIELD_NAMESPACE,
+        key: MAP_METAFIELD_KEY,
+        type: "json",
+        value: JSON.stringify(entry.mapping),
+      })),
+    });
+
+    const userErrors = data.metafieldsSet?.userErrors ?? [];
+    if (userErrors.length) {
+      throw new Error(userErrors[0].message);
+    }
+  }
+}
+
+const VARIANT_MEDIA_UPDATE_MUTATION = `#graphql
+  mutation SyncFeaturedVariantMedia($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+    productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+      userErrors { field message }
+    }
+  }
+`;
+
+// The map key a variant falls under: its value of the mapped option, the
+// most specific matching combination key, or its own ID.
+function mappingKeyForVariant(productMap, variant) {
+  const values = Object.fromEntries(
+    (variant.selectedOptions ?? []).map((option) => [option.name, option.value]),
+  );
+
+  if (productMap.mode === "option") return values[productMap.optionName] ?? null;
+
+  if (productMap.mode === "combination") {
+    const selected = productMap.optionNames.map((name) => values[name]);
+    const wildcards = (parts) => parts.filter((part) => part === COMBINATION_WILDCARD).length;
+    const match = Object.keys(productMap.mapping)
+      .map((key) => ({ key, parts: parseCombinationKey(key) }))
+      .filter(({ parts }) => {
+        return (
+          parts.length === selected.length &&
+          parts.every((part, index) => part === COMBINATION_WILDCARD || part === selected[index])
+        );
+      })
+      .sort((a, b) => wildcards(a.parts) - wildcards(b.parts))[0];
+    return match?.key ?? null;
+  }
+
+  return toNumericId(variant.id);
+}
+
+// Sets each variant's image to the featured image of the value it falls
+// under, so variant cards and cart lines show it. Variants without a featured
+// image, or whose featured media isn't an image, are left as they are.
+// `product` is a getProductForAssignment result, `productMap` the saved map.
+async function syncFeaturedVariantMedia(admin, product, productMap) {
+  const featured = productMap.featured ?? {};
+  const mediaIdsByImageId = new Map(
+    product.media
+      .filter((item) => item.mediaContentType === "IMAGE")
+      .map((item) => [toNumericId(item.id), item.mediaId]),
+  );
+
+  const variants = product.variants.flatMap((variant) => {
+    const key = mappingKeyForVariant(productMap, variant);
+    const mediaId = key ? mediaIdsByImageId.get(featured[key]) : null;
+    return mediaId ? [{ id: variant.id, mediaId }] : [];
+  });
+
+  if (variants.length === 0) return { updated: 0 };
+
+  const data = await adminGraphql(admin, VARIANT_MEDIA_UPDATE_MUTATION, {
+    productId: product.id,
+    variants,
+  });
+
+  const userErrors = data.productVariantsBulkUpdate?.userErrors ?? [];
+  if (userErrors.length) {
+    throw new Error(userErrors[0].message);
+  }
+
+  return { updated: variants.length };
+}
+
+const RULE_PRODUCTS_QUERY = `#graphql
+  query ListRuleProducts($first: Int!, $after: String, $withCollections: Boolean!) {
+    products(first: $first, after: $after) {
+      nodes {
+        id
+        tags
+        vendor
+        productType
+        collections(first: 50) @include(if: $withCollections) {
+          nodes {
+            handle
+            title
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+        ruleSettings: metafield(namespace: "${METAFIELD_NAMESPACE}", key: "${RULE_SETTINGS_METAFIELD_KEY}") {
+          value
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const RULE_PRODUCT_QUERY = `#graphql
+  query GetRuleProduct($id: ID!, $withCollections: Boolean!) {
+    product(id: $id) {
+      id
+      tags
+      vendor
+      productType
+      collections(first: 50) @include(if: $withCollections) {
+        nodes {
+          handle
+          title
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+      ruleSettings: metafield(namespace: "${METAFIELD_NAMESPACE}", key: "${RULE_SETTINGS_METAFIELD_KEY}") {
+        value
+      }
+    }
+  }
+`;
+
+const PRODUCT_COLLECTIONS_PAGE_QUERY = `#graphql
+  query GetProductCollectionsPage($id: ID!, $after: String) {
+    product(id: $id) {
+      collections(first: 250, after: $after) {
+        nodes {
+          handle
+          title
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+// What settings rules match on, plus the rule settings saved last time.
+// Products in more collections than the first page holds have the rest read
+// page by page, so a collection rule sees every collection.
+async function toRuleProduct(admin, node) {
+  const collections = [...(node.collections?.nodes ?? [])];
+  let pageInfo = node.collections?.pageInfo;
+  while (pageInfo?.hasNextPage) {
+    const page = await adminGraphql(admin, PRODUCT_COLLECTIONS_PAGE_QUERY, {
+      id: node.id,
+      after: pageInfo.endCursor,
+    });
+    if (!page.product) throw new Error("Product not found while reading its collections");
+    collections.push(...page.product.collections.nodes);
+    pageInfo = page.product.collections.pageInfo;
+  }
+
+  return {
+    id: node.id,
+    tags: node.tags ?? [],
+    vendor: node.vendor ?? "",
+    productType: node.productType ?? "",
+    collections,
+    ruleSettings: normalizeOverrides(safeParseJson(node.ruleSettings?.value, {}), RULE_SETTING_KEYS),
+  };
+}
+
+// Collections are only read when a rule needs them; they make each product
+// far more expensive to query.
+async function listRuleProducts(admin, { first = 100, after = null, withCollections = false } = {}) {
+  const data = await adminGraphql(admin, RULE_PRODUCTS_QUERY, { first, after, withCollections });
+  const products = [];
+  for (const node of data.products.nodes) {
+    products.push(await toRuleProduct(admin, node));
+  }
+  return { products, pageInfo: data.products.pageInfo };
+}
+
+async function getRuleProduct(admin, productId, { withCollections = false } = {}) {
+  const data = await adminGraphql(admin, RULE_PRODUCT_QUERY, { id: productId, withCollections });
+  return data.product ? toRuleProduct(admin, data.product) : null;
+}
+
+const SAVE_RULE_SETTINGS_MUTATION = `#graphql
+  mutation SaveRuleSettings($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors { field message }
+    }
+  }
+`;
+
+const DELETE_RULE_SETTINGS_MUTATION = `#graphql
+  mutation DeleteRuleSettings($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      userErrors { field message }
+    }
+  }
+`;
+
+// entries: [{ productId, settings }]. Products no rule applies to ({}) have
+// the metafield removed instead.
+async function saveProductRuleSettings(admin, entries) {
+  const toSet = entries.filter((entry) => Object.keys(entry.settings).length > 0);
+  const toDelete = entries.filter((entry) => Object.keys(entry.settings).length === 0);
+
+  for (let start = 0; start < toSet.length; start += METAFIELDS_SET_BATCH_SIZE) {
+    const data = await adminGraphql(admin, SAVE_RULE_SETTINGS_MUTATION, {
+      metafields: toSet.slice(start, start + METAFIELDS_SET_BATCH_SIZE).map((entry) => ({
+        ownerId: entry.productId,
+        namespace: METAFIELD_NAMESPACE,
+        key: RULE_SETTINGS_METAFIELD_KEY,
+        type: "json",
+        value: JSON.stringify(entry.settings),
+      })),
+    });
+    const userErrors = data.metafieldsSet?.userErrors ?? [];
+    if (userErrors.length) {
+      throw new Error(userErrors[0].message);
+    }
+  }
+
+  for (let start = 0; start < toDelete.length; start += METAFIELDS_SET_BATCH_SIZE) {
+    const data = await adminGraphql(admin, DELETE_RULE_SETTINGS_MUTATION, {
+      metafields: toDelete.slice(start, start + METAFIELDS_SET_BATCH_SIZE).map((entry) => ({
+        ownerId: entry.productId,
+        namespace: METAFIELD_NAMESPACE,
+        key: RULE_SETTINGS_METAFIELD_KEY,
+      })),
+    });
+    const userErrors = data.metafieldsDelete?.userErrors ?? [];
+    if (userErrors.length) {
+      throw new Error(userErrors[0].message);
+    }
+  }
+}
+
 export {
+  METAFIELDS_SET_BATCH_SIZE,
   DEFAULT_SETTINGS,
   METAFIELD_NAMESPACE,
   MAP_METAFIELD_KEY,
   SETTINGS_METAFIELD_KEY,
+  RULE_SETTINGS_METAFIELD_KEY,
+  COMBINATION_SEPARATOR,
+  COMBINATION_WILDCARD,
   toNumericId,
+  isThrottledError,
+  toCombinationKey,
+  parseCombinationKey,
   normalizeSettings,
   normalizeMapping,
   normalizeOptionMapping,
+  normalizeCombinationMapping,
   normalizeProductMapping,
+  normalizeProductSettings,
   ensureMetafieldDefinitions,
   getShopSettings,
   saveShopSettings,
   getThemeEmbedStatus,
   listProducts,
+  getProductSummary,
+  findProductIdByHandle,
   getProductForAssignment,
+  findSharedImages,
+  resolveSharedImages,
+  SharedImagesError,
   saveProductMapping,
+  saveProductMappings,
+  syncFeaturedVariantMedia,
+  listRuleProducts,
+  getRuleProduct,
+  saveProductRuleSettings,
+  toOptionSnapshot,
+  inferOptionRenames,
+  applyOptionRenames,
+  pruneProductMapping,
+  diffProductMapping,
+  auditProductMapping,
 };
@@ -0,0 +1,252 @@
+import { describe, expect, it } from "vitest";
+import {
+  SharedImagesError,
+  findSharedImages,
+  getProductForAssignment,
+  normalizeCombinationMapping,
+  pruneProductMapping,
+  resolveSharedImages,
+  saveProductMapping,
+} from "./variant-images.server";
+import { COMBINATION_WILDCARD, toCombinationKey } from "../utils/combinations";
+
+// Answers each Admin API call with the next queued response, keyed by the
+// operation name, and records metafieldsSet inputs.
+function fakeAdmin(responses) {
+  const saved = [];
+  const admin = {
+    async graphql(query, { variables } = {}) {
+      const operation = query.match(/(?:query|mutation) (\w+)/)[1];
+      if (operation === "SaveVariantImageMapping") {
+        saved.push(...variables.metafields);
+        return { json: async () => ({ data: { metafieldsSet: { userErrors: [] } } }) };
+      }
+      const data = responses[operation].shift();
+      return { json: async () => ({ data }) };
+    },
+  };
+  return { admin, saved };
+}
+
+function variant(id) {
+  return { id: `gid://shopify/ProductVariant/${id}`, title: `V${id}`, selectedOptions: [] };
+}
+
+function imageConnection(ids, { hasNextPage = false } = {}) {
+  return {
+    edges: ids.map((id) => ({
+      node: { id: `gid://shopify/ProductImage/${id}`, url: `https://cdn/${id}.jpg` },
+    })),
+    pageInfo: { hasNextPage, endCursor: hasNextPage ? "i1" : null },
+  };
+}
+
+function mediaConnection(ids, { hasNextPage = false } = {}) {
+  return {
+    edges: ids.map((id) => ({
+      node: {
+        id: `gid://shopify/MediaImage/${id}`,
+        mediaContentType: "IMAGE",
+        image: { url: `https://cdn/${id}.jpg` },
+      },
+    })),
+    pageInfo: { hasNextPage, endCursor: hasNextPage ? "m1" : null },
+  };
+}
+
+function productDetail({
+  map,
+  variants,
+  hasNextPage = false,
+  media = [],
+  options = [{ id: "o1", name: "Title", values: [] }],
+}) {
+  return {
+    product: {
+      id: "gid://shopify/Product/1",
+      title: "Tee",
+      handle: "tee",
+      options,
+      images: imageConnection(media),
+      media: mediaConnection(media),
+      variants: {
+        edges: variants.map((node) => ({ node })),
+        pageInfo: { hasNextPage, endCursor: hasNextPage ? "c1" : null },
+      },
+      metafield: { value: JSON.stringify(map) },
+      ruleSettings: null,
+    },
+  };
+}
+
+describe("normalizeCombinationMapping", () => {
+  const options = [
+    { name: "Color", values: ["Black / White", "*"] },
+    { name: "Material", values: ["Leather"] },
+  ];
+
+  it("keeps keys whose values contain the separator or a literal *", () => {
+    const striped = toCombinationKey(["Black / White", "Leather"]);
+    const star = toCombinationKey(["*", COMBINATION_WILDCARD]);
+
+    expect(
+      normalizeCombinationMapping({ [striped]: ["1"], [star]: ["2"] }, options, ["1", "2"]),
+    ).toEqual({ [striped]: ["1"], [star]: ["2"] });
+  });
+
+  it("drops keys for values the product doesn't have", () => {
+    expect(normalizeCombinationMapping({ "Black / Leather": ["1"] }, options, ["1"])).toEqual({});
+  });
+});
+
+function secondVariantPage(variants) {
+  return {
+    product: {
+      variants: {
+        edges: variants.map((node) => ({ node })),
+        pageInfo: { hasNextPage: false, endCursor: null },
+      },
+    },
+  };
+}
+
+describe("getProductForAssignment", () => {
+  it("loads variants past the first page with their assignments", async () => {
+    const map = { mode: "variant", mapping: { 1: ["10"], 300: ["10"] } };
+    const { admin } = fakeAdmin({
+      GetProductForAssignPage: [
+        productDetail({ map, variants: [variant(1)], hasNextPage: true, media: [10] }),
+      ],
+      GetProductVariantsPage: [secondVariantPage([variant(300)])],
+    });
+
+    const product = await getProductForAssignment(admin, "gid://shopify/Product/1");
+
+    expect(product.variants.map((v) => v.id)).toEqual([variant(1).id, variant(300).id]);
+    expect(product.mapping).toEqual({ 1: ["10"], 300: ["10"] });
+  });
+
+  it("loads media and images past the first page", async () => {
+    const map = { mode: "variant", mapping: { 1: ["10", "60"] } };
+    const detail = productDetail({ map, variants: [variant(1)], media: [10] });
+    detail.product.media = mediaConnection([10], { hasNextPage: true });
+    detail.product.images = imageConnection([10], { hasNextPage: true });
+    const { admin } = fakeAdmin({
+      GetProductForAssignPage: [detail],
+      GetProductMediaPage: [{ product: { media: mediaConnection([60]) } }],
+      GetProductImagesPage: [{ product: { images: imageConnection([60]) } }],
+    });
+
+    const product = await getProductForAssignment(admin, "gid://shopify/Product/1");
+
+    expect(product.media.map((item) => item.id)).toEqual([
+      "gid://shopify/ProductImage/10",
+      "gid://shopify/ProductImage/60",
+    ]);
+    expect(product.mapping).toEqual({ 1: ["10", "60"] });
+  });
+});
+
+describe("pruneProductMapping", () => {
+  it("keeps assignments for variants past the first page", async () => {
+    const map = { mode: "variant", mapping: { 1: ["10"], 300: ["10"] } };
+    const { admin, saved } = fakeAdmin({
+      GetProductForAssignPage: [
+        productDetail({ map, variants: [variant(1)], hasNextPage: true, media: [10] }),
+      ],
+      GetProductVariantsPage: [secondVariantPage([variant(300)])],
+    });
+
+    const result = await pruneProductMapping(admin, "gid://shopify/Product/1");
+
+    expect(result.changed).toBe(false);
+    expect(result.variants).toHaveLength(2);
+    expect(saved).toEqual([]);
+  });
+
+  it("clears featured images and the inherited value when every media is deleted", async () => {
+    const map = {
+      mode: "variant",
+      mapping: { 1: ["10"] },
+      featured: { 1: "10" },
+      settings: { fallback: { mode: "inherit", value: "1" } },
+    };
+    const { admin, saved } = fakeAdmin({
+      GetProductForAssignPage: [productDetail({ map, variants: [variant(1)] })],
+    });
+
+    const result = await pruneProductMapping(admin, "gid://shopify/Product/1");
+
+    expect(result.mapping).toEqual({
+      mode: "variant",
+      mapping: {},
+      settings: { fallback: { mode: "inherit", value: "" } },
+    });
+    expect(JSON.parse(saved[0].value)).toEqual(result.mapping);
+  });
+
+  it("carries renamed option values over and drops values and media that are gone", async () => {
+    const map = {
+      mode: "option",
+      optionName: "Color",
+      mapping: { Red: ["10", "20"], Green: ["20"], Blue: ["30"] },
+      featured: { Red: "20" },
+    };
+    const { admin, saved } = fakeAdmin({
+      GetProductForAssignPage: [
+        productDetail({
+          map,
+          variants: [variant(1)],
+          media: [10, 30],
+          options: [{ id: "o1", name: "Color", values: ["Crimson", "Blue"] }],
+        }),
+      ],
+    });
+
+    const result = await pruneProductMapping(admin, "gid://shopify/Product/1", {
+      optionRenames: { Color: { Red: "Crimson" } },
+    });
+
+    expect(result.changed).toBe(true);
+    expect(result.mapping).toEqual({
+      mode: "option",
+      optionName: "Color",
+      mapping: { Crimson: ["10"], Blue: ["30"] },
+    });
+    expect(JSON.parse(saved[0].value)).toEqual(result.mapping);
+  });
+});
+
+describe("shared images", () => {
+  const map = {
+    mode: "option",
+    optionName: "Color",
+    mapping: { Red: ["10", "20"], Blue: ["20", "30"], Green: ["10"] },
+    featured: { Blue: "20", Green: "10" },
+  };
+
+  it("keeps each shared image on the value it's featured on, or the first", () => {
+    expect(findSharedImages(map)).toEqual([
+      { imageId: "10", keys: ["Red", "Green"], keptOn: "Green" },
+      { imageId: "20", keys: ["Red", "Blue"], keptOn: "Blue" },
+    ]);
+    expect(resolveSharedImages(map)).toEqual({
+      mode: "option",
+      optionName: "Color",
+      mapping: { Blue: ["20", "30"], Green: ["10"] },
+      featured: { Blue: "20", Green: "10" },
+    });
+  });
+
+  it("refuses to save shared images for products that don't allow them", async () => {
+    const { admin, saved } = fakeAdmin({});
+
+    await expect(
+      saveProductMapping(admin, "gid://shopify/Product/1", map, { allowSharedImages: false }),
+    ).rejects.toThrow(SharedImagesError);
+    expect(saved).toEqual([]);
+
+    await saveProductMapping(admin, "gid://shopify/Product/1", map, { allowSharedImages: true });
+    expect(saved).toHaveLength(1);
+  });
+});
@@ -21,23 +21,33 @@ import {
   ensureMetafieldDefinitions,
   getThemeEmbedStatus,
   getShopSettings,
-  listProducts,
 } from "../models/variant-images.server";
+import {
+  countIndexedProducts,
+  ensureProductIndex,
+  listIndexedProducts,
+} from "../models/product-index.server";
+import { PAGE_RUN_BUDGET_MS, runBackgroundJobs } from "../models/background-jobs.server";
 
 export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
 
   await ensureMetafieldDefinitions(admin);
+  const indexState = await ensureProductIndex(session.shop);
+  if (indexState.status === "building") {
+    await runBackgroundJobs({ shop: session.shop, budgetMs: PAGE_RUN_BUDGET_MS });
+  }
 
-  const [{ settings }, embedStatus, products] = await Promise.all([
+  const [{ settings }, embedStatus, configured, unconfigured, configuredCount] = await Promise.all([
     getShopSettings(admin),
     getThemeEmbedStatus(admin),
-    listProducts(admin, { first: 80 }),
+    listIndexedProducts(session.shop, { first: 8, status: "configured", multiVariantOnly: true }),
+    listIndexedProducts(session.shop, { first: 12, status: "unconfigured", multiVariantOnly: true }),
+    countIndexedProducts(session.shop, { status: "configured", multiVariantOnly: true }),
   ]);
 
-  const multiVariantProducts = products.filter((product) => product.variantsCount > 1);
-  const configuredProducts = multiVariantProducts.filter((product) => product.isConfigured);
-  const unconfiguredProducts = multiVariantProducts.filter((product) => !product.isConfigured);
+  const configuredProducts = configured.products;
+  const unconfiguredProducts = unconfigured.products;
 
   const setupSteps = [
     {
@@ -48,7 +58,7 @@ export const loader = async ({ request }) => {
     {
       key: "mapping",
       label: "Assign images to product variants",
-      complete: configuredProducts.length > 0,
+      complete: configuredCount > 0,
     },
     {
       key: "settings",
@@ -65,8 +75,10 @@ export const loader = async ({ request }) => {
     completedSteps,
     totalSteps: setupSteps.length,
     setupSteps,
-    configuredProducts: configuredProducts.slice(0, 8),
-    unconfiguredProducts: unconfiguredProducts.slice(0, 12),
+    configuredProducts,
+    configuredCount,
+    unconfiguredProducts,
+    isIndexBuilding: indexState.status === "building",
   };
 };
 
@@ -97,7 +109,9 @@ export default function DashboardPage() {
     totalSteps,
     setupSteps,
     configuredProducts,
+    configuredCount,
     unconfiguredProducts,
+    isIndexBuilding,
   } = useLoaderData();
 
   const completion = Math.round((completedSteps / totalSteps) * 100);
@@ -124,6 +138,13 @@ export default function DashboardPage() {
                   </Button>
                 </InlineStack>
 
+                {isIndexBuilding ? (
+                  <Banner tone="info" title="Indexing your products">
+                    Product counts and lists fill in as the index is built. Open{" "}
+                    <Link url="/app/configured-products">Configured products</Link> to follow it.
+                  </Banner>
+                ) : null}
+
                 {!embedStatus.known ? (
                   <Banner tone="warning" title="Theme embed status unavailable">
                     To detect embed activation automatically, add the <code>read_themes</code> app scope and redeploy.
@@ -157,7 +178,7 @@ export default function DashboardPage() {
                         Configured products
                       </Text>
                       <Text as="p" variant="headingMd">
-                        {configuredProducts.length}
+                        {configuredCount}
                       </Text>
                     </BlockStack>
                   </Card>
@@ -232,7 +253,7 @@ export default function DashboardPage() {
                   <Text as="h3" variant="headingMd">
                     Configured products
                   </Text>
-                  <Button url="/app/configured-products">Show more</Button>
+                  <Button url="/app/configured-products?status=configured">Show more</Button>
                 </InlineStack>
 
                 {configuredProducts.length === 0 ? (
@@ -268,7 +289,7 @@ export default function DashboardPage() {
                   <Text as="h3" variant="headingMd">
                     Configure new products
                   </Text>
-                  <Button url="/app/configured-products" variant="plain">
+                  <Button url="/app/configured-products?status=unconfigured" variant="plain">
                     Open catalog
                   </Button>
                 </InlineStack>
@@ -7,6 +7,7 @@ import {
   Button,
   ButtonGroup,
   Card,
+  ChoiceList,
   EmptyState,
   InlineStack,
   Modal,
@@ -19,27 +20,55 @@ import {
 import { authenticate } from "../shopify.server";
 import {
   ensureMetafieldDefinitions,
+  findSharedImages,
   getProductForAssignment,
   getShopSettings,
   listProducts,
+  normalizeCombinationMapping,
+  normalizeMapping,
   normalizeOptionMapping,
+  normalizeProductMapping,
+  resolveSharedImages,
   saveProductMapping,
+  SharedImagesError,
+  syncFeaturedVariantMedia,
+  toOptionSnapshot,
 } from "../models/variant-images.server";
+import { refreshProductSummary } from "../models/product-index.server";
+import {
+  getMappingRevision,
+  isSameMapping,
+  listMappingRevisions,
+  mappingSnapshotOf,
+  recordMappingRevision,
+} from "../models/mapping-history.server";
 import { toNumericId } from "../utils/ids";
+import {
+  COMBINATION_WILDCARD,
+  parseCombinationKey,
+  toCombinationKey,
+} from "../utils/combinations";
+import { diffMappings, proposeAutoAssignment } from "../utils/auto-assign";
+import { FALLBACK_OPTIONS } from "../utils/fallback";
+import {
+  PRODUCT_SETTING_KEYS,
+  SETTING_LABELS,
+  mergeProductSettings,
+  withSettingOverride,
+} from "../utils/product-settings";
 
 export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const url = new URL(request.url);
   const productId = url.searchParams.get("productId");
 
   await ensureMetafieldDefinitions(admin);
 
-  const [{ settings }, products] = await Promise.all([
+  const [{ settings }, { products: candidateProducts }] = await Promise.all([
     getShopSettings(admin),
-    listProducts(admin, { first: 80 }),
+    listProducts(admin, { first: 100, multiVariantOnly: true }),
   ]);
 
-  const candidateProducts = products.filter((product) => product.variantsCount > 1);
   const selectedProductId = productId || candidateProducts[0]?.id || null;
 
   if (!selectedProductId) {
@@ -47,6 +76,7 @@ export const loader = async ({ request }) => {
       product: null,
       products: [],
       settings,
+      revisions: [],
     };
   }
 
@@ -57,32 +87,119 @@ export const loader = async ({ request }) => {
       product: null,
       products: candidateProducts,
       settings,
+      revisions: [],
     };
   }
 
+  // The picker only lists the most recently updated products; keep the
+  // selected one in it when it comes from further back in the catalog.
+  const products = candidateProducts.some((candidate) => candidate.id === product.id)
+    ? candidateProducts
+    : [{ id: product.id, title: product.title }, ...candidateProducts];
+
+  // A side of a revision is current when restoring it would save the map as
+  // it is now, so it can't be restored.
+  const current = mappingSnapshotOf(product);
+  const isCurrent = (snapshot) =>
+    Boolean(snapshot) && isSameMapping(restoredMapping(product, snapshot), current);
+  const revisions = (await listMappingRevisions(session.shop, product.id)).map((revision) => ({
+    ...revision,
+    isCurrent: { after: isCurrent(revision.after), before: isCurrent(revision.before) },
+  }));
+
   return {
     product,
-    products: candidateProducts,
+    products,
     settings,
+    revisions,
   };
 };
 
-export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-  const formData = await request.formData();
+const SAVE_INTENTS = ["save", "reset", "auto-assign"];
+
+// Options, variants or images may have changed since a revision was saved;
+// anything that no longer exists is dropped.
+function restoredMapping(product, snapshot) {
+  return normalizeProductMapping(
+    snapshot,
+    product.options,
+    product.variants,
+    product.media.map((item) => item.id),
+  );
+}
+
+// Builds the map to save from the submitted form, or { error, status }.
+function mappingFromForm(product, formData) {
+  const next = baseMappingFromForm(product, formData);
+  if (next.error) return next;
+
+  const parseField = (name) => {
+    try {
+      return JSON.parse(String(formData.get(name) || "{}"));
+    } catch {
+      return {};
+    }
+  };
+
+  // Resetting clears the images but keeps the product's settings.
+  const featured = formData.get("intent") === "reset" ? {} : parseField("featured");
+  const settings = parseField("settings");
 
+  // Featured images are only kept for values they are assigned to.
+  return {
+    mapping: normalizeProductMapping(
+      { ...next.mapping, featured, settings },
+      product.options,
+      product.variants,
+      product.media.map((item) => item.id),
+    ),
+  };
+}
+
+function baseMappingFromForm(product, formData) {
   const intent = formData.get("intent");
-  const productId = formData.get("productId");
+  const requestedMode = formData.get("mode");
+  const mode = requestedMode === "combination" || requestedMode === "variant" ? requestedMode : "option";
   const optionName = formData.get("optionName");
+  const rawOptionNames = formData.get("optionNames");
   const rawMapping = formData.get("mapping");
+  const imageIds = product.media.map((item) => item.id);
 
-  if (typeof productId !== "string" || !productId) {
-    return json({ ok: false, error: "Missing product id" }, { status: 400 });
+  if (mode === "variant") {
+    const mapping =
+      intent === "reset"
+        ? {}
+        : normalizeMapping(
+            rawMapping,
+            product.variants.map((variant) => variant.id),
+            imageIds,
+          );
+
+    return { mapping: { mode: "variant", mapping } };
   }
 
-  const product = await getProductForAssignment(admin, productId);
-  if (!product) {
-    return json({ ok: false, error: "Product not found" }, { status: 404 });
+  if (mode === "combination") {
+    let requestedNames = [];
+    try {
+      requestedNames = JSON.parse(typeof rawOptionNames === "string" ? rawOptionNames : "[]");
+    } catch {
+      requestedNames = [];
+    }
+
+    const mappedOptions = product.options.filter(
+      (opt) => Array.isArray(requestedNames) && requestedNames.includes(opt.name),
+    );
+
+    if (mappedOptions.length < 2) {
+      return { error: "Select at least two variant types to combine", status: 400 };
+    }
+
+    const mapping =
+      intent === "reset" ? {} : normalizeCombinationMapping(rawMapping, mappedOptions, imageIds);
+
+    return {
+      mapping: { mode: "combination", optionNames: mappedOptions.map((opt) => opt.name), mapping },
+    };
   }
 
   const resolvedOptionName =
@@ -91,7 +208,7 @@ export const action = async ({ request }) => {
       : product.options[0]?.name;
 
   if (!resolvedOptionName) {
-    return json({ ok: false, error: "Product has no options" }, { status: 400 });
+    return { error: "Product has no options", status: 400 };
   }
 
   const optionValues = product.options.find((opt) => opt.name === resolvedOptionName)?.values ?? [];
@@ -99,18 +216,103 @@ export const action = async ({ request }) => {
   const mapping =
     intent === "reset"
       ? {}
-      : normalizeOptionMapping(rawMapping, optionValues, product.images.map((image) => image.id));
+      : normalizeOptionMapping(rawMapping, optionValues, imageIds);
+
+  return { mapping: { mode: "option", optionName: resolvedOptionName, mapping } };
+}
+
+export const action = async ({ request }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const intent = formData.get("intent");
+  const productId = formData.get("productId");
+
+  if (typeof productId !== "string" || !productId) {
+    return json({ ok: false, error: "Missing product id" }, { status: 400 });
+  }
+
+  const product = await getProductForAssignment(admin, productId);
+  if (!product) {
+    return json({ ok: false, error: "Product not found" }, { status: 404 });
+  }
+
+  let next;
+  let restoredFromId = null;
+
+  if (intent === "restore") {
+    // "after" restores the map as saved by that revision, "before" undoes it.
+    const side = formData.get("side") === "before" ? "before" : "after";
+    const revision = await getMappingRevision(session.shop, String(formData.get("revisionId")));
+    if (!revision || revision.productId !== product.id || !revision[side]) {
+      return json({ ok: false, error: "Revision not found" }, { status: 404 });
+    }
+
+    next = { mapping: restoredMapping(product, revision[side]) };
+    restoredFromId = revision.id;
+  } else if (SAVE_INTENTS.includes(intent)) {
+    next = mappingFromForm(product, formData);
+  } else {
+    return json({ ok: false, error: "Unknown action" }, { status: 400 });
+  }
+
+  if (next.error) {
+    return json({ ok: false, error: next.error }, { status: next.status });
+  }
+
+  const { settings: shopSettings } = await getShopSettings(admin);
+  const settings = mergeProductSettings(shopSettings, product.ruleSettings, next.mapping.settings);
+
+  // Without shared images each image belongs to one value. Conflicts are
+  // reported back unless the merchant asked to keep each image on one value.
+  let resolvedConflicts = [];
+  if (!settings.allowSharedImages) {
+    const conflicts = findSharedImages(next.mapping);
+    if (conflicts.length > 0 && formData.get("resolveConflicts") !== "true") {
+      return json(
+        { ok: false, intent, error: new SharedImagesError(conflicts).message, conflicts },
+        { status: 409 },
+      );
+    }
+    resolvedConflicts = conflicts;
+    next.mapping = resolveSharedImages(next.mapping);
+  }
 
-  await saveProductMapping(admin, product.id, {
-    mode: "option",
-    optionName: resolvedOptionName,
-    mapping,
+  await saveProductMapping(admin, product.id, next.mapping, {
+    allowSharedImages: settings.allowSharedImages,
   });
+  await refreshProductSummary(admin, session.shop, product.id, {
+    optionSnapshot: toOptionSnapshot(product.variants),
+  });
+  await recordMappingRevision(session.shop, product.id, {
+    before: mappingSnapshotOf(product),
+    after: next.mapping,
+    source: intent,
+    userId: sessionToken?.sub,
+    restoredFromId,
+  });
+
+  // The map is saved either way; a failed variant image sync is reported
+  // alongside the save rather than failing it.
+  let variantSync = null;
+  if (settings.syncFeaturedToVariants) {
+    try {
+      variantSync = await syncFeaturedVariantMedia(admin, product, next.mapping);
+    } catch (error) {
+      variantSync = { error: error.message };
+    }
+  }
 
-  return json({ ok: true, mapping, intent, optionName: resolvedOptionName });
+  return json({ ok: true, intent, ...next.mapping, variantSync, resolvedConflicts });
 };
 
-function OptionValueCard({ value, imageCount, onAssign }) {
+function formatCombinationLabel(key, optionNames) {
+  return parseCombinationKey(key)
+    .map((value, index) => (value === COMBINATION_WILDCARD ? `Any ${optionNames[index]}` : value))
+    .join(" / ");
+}
+
+function OptionValueCard({ value, imageCount, onAssign, onRemove }) {
   return (
     <Card>
       <InlineStack align="space-between" blockAlign="center">
@@ -119,38 +321,485 @@ function OptionValueCard({ value, imageCount, onAssign }) {
         </Text>
         <InlineStack gap="200" blockAlign="center">
           <Badge tone={imageCount > 0 ? "success" : "attention"}>
-            {imageCount > 0 ? `${imageCount} assigned` : "No images"}
+            {imageCount > 0 ? `${imageCount} assigned` : "No media"}
           </Badge>
-          <Button onClick={onAssign}>Assign images</Button>
+          <Button onClick={onAssign}>Assign media</Button>
+          {onRemove ? (
+            <Button variant="plain" tone="critical" onClick={onRemove}>
+              Remove
+            </Button>
+          ) : null}
         </InlineStack>
       </InlineStack>
     </Card>
   );
 }
 
+// Option values are never empty, so "" stands for "Any" in the selects.
+const ANY_VALUE = "";
+
+function CombinationBuilder({ options, onAdd }) {
+  const [draft, setDraft] = useState(() => options.map(() => COMBINATION_WILDCARD));
+
+  useEffect(() => {
+    setDraft(options.map(() => COMBINATION_WILDCARD));
+  }, [options]);
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text as="h3" variant="headingSm">
+          Add combination
+        </Text>
+        <InlineStack gap="300" blockAlign="end">
+          {options.map((option, index) => (
+            <Select
+              key={option.name}
+              label={option.name}
+              options={[
+                { label: `Any ${option.name}`, value: ANY_VALUE },
+                ...option.values.map((value) => ({ label: value, value })),
+              ]}
+              value={draft[index] ?? ANY_VALUE}
+              onChange={(value) => {
+                const next = value === ANY_VALUE ? COMBINATION_WILDCARD : value;
+                setDraft((prev) => prev.map((current, i) => (i === index ? next : current)));
+              }}
+            />
+          ))}
+          <Button onClick={() => onAdd(toCombinationKey(draft))}>Add</Button>
+        </InlineStack>
+        <Text as="p" variant="bodySm" tone="subdued">
+          The most specific combination matching the selected variant wins. Use &quot;Any&quot; to
+          match every value of a variant type.
+        </Text>
+      </BlockStack>
+    </Card>
+  );
+}
+
+const MEDIA_TYPE_LABELS = {
+  VIDEO: "Video",
+  EXTERNAL_VIDEO: "Video",
+  MODEL_3D: "3D",
+};
+
+function mediaPreviewUrl(media, size) {
+  return media.url ? `${media.url.split("?")[0]}?width=${size}&height=${size}&crop=center` : null;
+}
+
+function MediaTypeLabel({ mediaContentType }) {
+  const label = MEDIA_TYPE_LABELS[mediaContentType];
+  if (!label) return null;
+
+  return (
+    <span
+      style={{
+        position: "absolute",
+        left: 4,
+        bottom: 4,
+        padding: "0 4px",
+        borderRadius: 4,
+        background: "rgba(0, 0, 0, 0.7)",
+        color: "#fff",
+        fontSize: 10,
+        lineHeight: "16px",
+      }}
+    >
+      {label}
+    </span>
+  );
+}
+
+// Image, or poster/preview for videos and 3D models, with a type label.
+// Without `size` the preview fills its container as a square.
+function MediaPreview({ media, size }) {
+  const src = mediaPreviewUrl(media, size ? size * 2 : 240);
+  const box = size ? { width: size, height: size } : { width: "100%", aspectRatio: "1/1" };
+
+  return (
+    <span style={{ position: "relative", display: "block", ...box }}>
+      {src ? (
+        <img
+          src={src}
+          alt={media.altText || "Product media"}
+          style={{ display: "block", ...box, borderRadius: 6, objectFit: "cover" }}
+        />
+      ) : (
+        <span style={{ display: "block", ...box, borderRadius: 6, background: "#f1f2f4" }} />
+      )}
+      <MediaTypeLabel mediaContentType={media.mediaContentType} />
+    </span>
+  );
+}
+
+function Thumbnail({ media, size = 48 }) {
+  return (
+    <span style={{ display: "inline-block", borderRadius: 6, border: "1px solid #dfe3e8" }}>
+      <MediaPreview media={media} size={size} />
+    </span>
+  );
+}
+
+function moveItem(list, from, to) {
+  if (from === to || to < 0 || to >= list.length) return list;
+  const next = [...list];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+}
+
+// Selected media for one value, reorderable by drag and drop or with the
+// arrow keys. The order is what the storefront uses when reordering is on.
+// One image can be marked featured: it is shown first and, when enabled in
+// settings, becomes the image of the value's variants.
+function SortableMediaList({ mediaIds, mediaById, featuredId, onReorder, onFeature }) {
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const move = (from, to) => {
+    const next = moveItem(mediaIds, from, to);
+    if (next !== mediaIds) onReorder(next);
+  };
+
+  return (
+    <BlockStack gap="200">
+      <Text as="h3" variant="headingSm">
+        Display order
+      </Text>
+      <Text as="p" variant="bodySm" tone="subdued">
+        Drag to reorder, or focus a thumbnail and use the arrow keys. Mark one image as featured to
+        show it first.
+      </Text>
+      <div role="list" style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+        {mediaIds.map((mediaId, index) =>
+          mediaById[mediaId] ? (
+            <div
+              key={mediaId}
+              role="listitem"
+              tabIndex={0}
+              draggable
+              aria-label={`${mediaById[mediaId].altText || "Media"}, position ${index + 1} of ${mediaIds.length}`}
+              onDragStart={(event) => {
+                setDragIndex(index);
+                event.dataTransfer.effectAllowed = "move";
+              }}
+              onDragOver={(event) => event.preventDefault()}
+              onDrop={(event) => {
+                event.preventDefault();
+                if (dragIndex !== null) move(dragIndex, index);
+                setDragIndex(null);
+              }}
+              onDragEnd={() => setDragIndex(null)}
+              onKeyDown={(event) => {
+                if (event.key === "ArrowLeft" || event.key === "ArrowRight") {
+                  event.preventDefault();
+                  move(index, event.key === "ArrowLeft" ? index - 1 : index + 1);
+                }
+              }}
+              style={{ cursor: "grab", opacity: dragIndex === index ? 0.4 : 1 }}
+            >
+              <BlockStack gap="100" inlineAlign="center">
+                <Thumbnail media={mediaById[mediaId]} size={56} />
+                {mediaById[mediaId].mediaContentType === "IMAGE" ? (
+                  <Button
+                    size="micro"
+                    variant={featuredId === mediaId ? "primary" : "tertiary"}
+                    onClick={() => onFeature(featuredId === mediaId ? null : mediaId)}
+                  >
+                    {featuredId === mediaId ? "Featured" : "Feature"}
+                  </Button>
+                ) : null}
+              </BlockStack>
+            </div>
+          ) : null,
+        )}
+      </div>
+    </BlockStack>
+  );
+}
+
+function AutoAssignModal({ open, diff, mediaById, formatKey, isSaving, onApply, onClose }) {
+  return (
+    <Modal
+      open={open}
+      onClose={onClose}
+      title="Auto-assign images"
+      primaryAction={{
+        content: "Apply and save",
+        disabled: isSaving || diff.length === 0,
+        onAction: onApply,
+      }}
+      secondaryActions={[{ content: "Cancel", onAction: onClose }]}
+    >
+      <Modal.Section>
+        <BlockStack gap="400">
+          <Text as="p" tone="subdued">
+            Images are matched to values by alt text and filename. Values without a match keep their
+            current images.
+          </Text>
+          {diff.length === 0 ? (
+            <Text as="p">No changes proposed. No image names or alt texts matched new values.</Text>
+          ) : (
+            diff.map((entry) => (
+              <BlockStack key={entry.key} gap="200">
+                <InlineStack gap="200" blockAlign="center">
+                  <Text as="h3" variant="headingSm">
+                    {formatKey(entry.key)}
+                  </Text>
+                  {entry.added.length > 0 ? (
+                    <Badge tone="success">{`+${entry.added.length} added`}</Badge>
+                  ) : null}
+                  {entry.removed.length > 0 ? (
+                    <Badge tone="critical">{`−${entry.removed.length} removed`}</Badge>
+                  ) : null}
+                </InlineStack>
+                <InlineStack gap="200">
+                  {entry.after.map((imageId) =>
+                    mediaById[imageId] ? (
+                      <Thumbnail key={imageId} media={mediaById[imageId]} />
+                    ) : null,
+                  )}
+                </InlineStack>
+              </BlockStack>
+            ))
+          )}
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
+
+// Lists the images a save would have shared between values while shared
+// images are off, and offers to keep each on one value.
+function SharedImagesReport({ conflicts, mediaById, formatKey, error, isSaving, onResolve }) {
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text as="p" tone="critical">
+          {`${error}. Shared images are turned off for this product, so nothing was saved.`}
+        </Text>
+        {conflicts.map((conflict) => (
+          <InlineStack key={conflict.imageId} gap="300" blockAlign="center">
+            {mediaById[conflict.imageId] ? (
+              <Thumbnail media={mediaById[conflict.imageId]} size={40} />
+            ) : null}
+            <BlockStack gap="050">
+              <Text as="p">{conflict.keys.map(formatKey).join(", ")}</Text>
+              <Text as="p" variant="bodySm" tone="subdued">
+                {`Kept on ${formatKey(conflict.keptOn)}`}
+              </Text>
+            </BlockStack>
+          </InlineStack>
+        ))}
+        <InlineStack>
+          <Button onClick={onResolve} loading={isSaving}>
+            Keep each image on one value and save
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
+
+const REVISION_SOURCE_LABELS = {
+  save: "Saved",
+  reset: "Reset",
+  restore: "Restored",
+  "auto-assign": "Auto-assign",
+  "bulk-auto-assign": "Bulk auto-assign",
+  import: "CSV import",
+  prune: "Product update",
+  cleanup: "Coverage clean-up",
+};
+
+// Maps saved before modes existed have no `mode` and are keyed by variant.
+function describeSnapshot(snapshot) {
+  if (!snapshot) return "No mapping";
+  if (snapshot.mode === "option") return snapshot.optionName;
+  if (snapshot.mode === "combination") return (snapshot.optionNames ?? []).join(" + ");
+  return "Individual variants";
+}
+
+function RevisionChanges({ revision, mediaById, variantTitles }) {
+  const before = { ...revision.before, mapping: revision.before?.mapping ?? {} };
+  const after = { ...revision.after, mapping: revision.after?.mapping ?? {} };
+  const keys = [...new Set([...Object.keys(before.mapping), ...Object.keys(after.mapping)])];
+  const diff = diffMappings(before.mapping, after.mapping, keys);
+  const modeChanged = describeSnapshot(revision.before) !== describeSnapshot(after);
+
+  const formatKey = (key, snapshot) => {
+    if (snapshot.mode === "option") return key;
+    if (snapshot.mode === "combination") return formatCombinationLabel(key, snapshot.optionNames);
+    return variantTitles[key] ?? `Variant ${key}`;
+  };
+
+  return (
+    <BlockStack gap="200">
+      {modeChanged ? (
+        <Text as="p" variant="bodySm" tone="subdued">
+          {`Mapped by: ${describeSnapshot(revision.before)} → ${describeSnapshot(after)}`}
+        </Text>
+      ) : null}
+      {diff.length === 0 ? (
+        <Text as="p" variant="bodySm" tone="subdued">
+          No image changes.
+        </Text>
+      ) : (
+        diff.map((entry) => (
+          <BlockStack key={entry.key} gap="100">
+            <InlineStack gap="200" blockAlign="center">
+              <Text as="h4" variant="headingXs">
+                {formatKey(entry.key, after.mapping[entry.key] ? after : before)}
+              </Text>
+              {entry.added.length > 0 ? (
+                <Badge tone="success">{`+${entry.added.length} added`}</Badge>
+              ) : null}
+              {entry.removed.length > 0 ? (
+                <Badge tone="critical">{`−${entry.removed.length} removed`}</Badge>
+              ) : null}
+            </InlineStack>
+            <InlineStack gap="100">
+              {entry.after.map((imageId) =>
+                mediaById[imageId] ? (
+                  <Thumbnail key={imageId} media={mediaById[imageId]} size={32} />
+                ) : null,
+              )}
+            </InlineStack>
+          </BlockStack>
+        ))
+      )}
+    </BlockStack>
+  );
+}
+
+function HistoryModal({
+  open,
+  revisions,
+  mediaById,
+  variantTitles,
+  isSaving,
+  onRestore,
+  onClose,
+}) {
+  const [expandedId, setExpandedId] = useState(null);
+
+  return (
+    <Modal
+      open={open}
+      onClose={onClose}
+      title="Mapping history"
+      secondaryActions={[{ content: "Close", onAction: onClose }]}
+    >
+      <Modal.Section>
+        {revisions.length === 0 ? (
+          <Text as="p" tone="subdued">
+            No saved changes yet. Each save, reset, import or auto-assign is recorded here.
+          </Text>
+        ) : (
+          <BlockStack gap="400">
+            {revisions.map((revision) => (
+              <BlockStack key={revision.id} gap="200">
+                <InlineStack align="space-between" blockAlign="center">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text as="h3" variant="headingSm">
+                      {new Date(revision.createdAt).toLocaleString()}
+                    </Text>
+                    <Badge>{REVISION_SOURCE_LABELS[revision.source] ?? revision.source}</Badge>
+                    {revision.isCurrent.after ? <Badge tone="success">Current</Badge> : null}
+                    {revision.userId ? (
+                      <Text as="span" variant="bodySm" tone="subdued">
+                        {`Staff member ${revision.userId}`}
+                      </Text>
+                    ) : null}
+                  </InlineStack>
+                  <ButtonGroup>
+                    <Button
+                      variant="plain"
+                      onClick={() => setExpandedId(expandedId === revision.id ? null : revision.id)}
+                    >
+                      {expandedId === revision.id ? "Hide changes" : "Show changes"}
+                    </Button>
+                    <Button
+                      disabled={isSaving || revision.isCurrent.after}
+                      onClick={() => onRestore(revision.id, "after")}
+                    >
+                      Restore
+                    </Button>
+                    {revision.before ? (
+                      <Button
+                        disabled={isSaving || revision.isCurrent.before}
+                        onClick={() => onRestore(revision.id, "before")}
+                      >
+                        Undo this change
+                      </Button>
+                    ) : null}
+                  </ButtonGroup>
+                </InlineStack>
+                {expandedId === revision.id ? (
+                  <RevisionChanges
+                    revision={revision}
+                    mediaById={mediaById}
+                    variantTitles={variantTitles}
+                  />
+                ) : null}
+              </BlockStack>
+            ))}
+          </BlockStack>
+        )}
+      </Modal.Section>
+    </Modal>
+  );
+}
+
 export default function AssignImagesPage() {
-  const { product, products, settings } = useLoaderData();
+  const { product, products, settings: shopSettings, revisions } = useLoaderData();
   const fetcher = useFetcher();
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
 
-  const [selectedOptionName, setSelectedOptionName] = useState(product?.optionName ?? "");
+  const [mappingMode, setMappingMode] = useState(product?.mappingMode ?? "option");
+  const [selectedOptionName, setSelectedOptionName] = useState(
+    product?.optionName ?? product?.options[0]?.name ?? "",
+  );
+  const [selectedOptionNames, setSelectedOptionNames] = useState(product?.optionNames ?? []);
+  const [combinationKeys, setCombinationKeys] = useState(() =>
+    product?.mappingMode === "combination" ? Object.keys(product.mapping) : [],
+  );
   const [mapping, setMapping] = useState(product?.mapping ?? {});
+  const [featured, setFeatured] = useState(product?.featured ?? {});
+  const [productSettings, setProductSettings] = useState(product?.settings ?? {});
+  // Shop settings with any settings rules that match this product; the
+  // product's own settings go on top.
+  const inheritedSettings = mergeProductSettings(shopSettings, product?.ruleSettings);
+  const settings = mergeProductSettings(inheritedSettings, productSettings);
   const [activeOptionValue, setActiveOptionValue] = useState(null);
   const [imageSearch, setImageSearch] = useState("");
   const [showAssignedOnly, setShowAssignedOnly] = useState(false);
+  const [autoAssignProposal, setAutoAssignProposal] = useState(null);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  // Kept so a save rejected for shared images can be resubmitted with them resolved.
+  const [lastSubmission, setLastSubmission] = useState(null);
 
   const isSaving = fetcher.state !== "idle";
+  const submit = (fields) => {
+    setLastSubmission(fields);
+    fetcher.submit(fields, { method: "post" });
+  };
 
   const selectedOption = useMemo(() => {
     return product?.options.find((opt) => opt.name === selectedOptionName) ?? null;
   }, [product, selectedOptionName]);
 
+  const combinedOptions = useMemo(() => {
+    return (product?.options ?? []).filter((opt) => selectedOptionNames.includes(opt.name));
+  }, [product, selectedOptionNames]);
+  const combinedOptionNames = combinedOptions.map((opt) => opt.name);
+
   const activeOptionImages = activeOptionValue ? mapping[activeOptionValue] ?? [] : [];
 
   const filteredImages = useMemo(() => {
     const q = imageSearch.trim().toLowerCase();
-    const sourceImages = (product?.images ?? []).filter((image) => {
+    const sourceImages = (product?.media ?? []).filter((image) => {
       if (!showAssignedOnly || !activeOptionValue) return true;
       return (mapping[activeOptionValue] ?? []).includes(toNumericId(image.id));
     });
@@ -158,13 +807,18 @@ export default function AssignImagesPage() {
     if (!q) return sourceImages;
 
     return sourceImages.filter((image) => {
-      return image.altText?.toLowerCase().includes(q) || image.url.toLowerCase().includes(q);
+      return image.altText?.toLowerCase().includes(q) || image.url?.toLowerCase().includes(q);
     });
   }, [activeOptionValue, imageSearch, mapping, product, showAssignedOnly]);
 
   useEffect(() => {
+    setMappingMode(product?.mappingMode ?? "option");
     setSelectedOptionName(product?.optionName ?? product?.options[0]?.name ?? "");
+    setSelectedOptionNames(product?.optionNames ?? []);
+    setCombinationKeys(product?.mappingMode === "combination" ? Object.keys(product.mapping) : []);
     setMapping(product?.mapping ?? {});
+    setFeatured(product?.featured ?? {});
+    setProductSettings(product?.settings ?? {});
     setActiveOptionValue(null);
     setImageSearch("");
     setShowAssignedOnly(false);
@@ -187,6 +841,83 @@ export default function AssignImagesPage() {
   }
 
   const optionValues = selectedOption?.values ?? [];
+  const isCombination = mappingMode === "combination";
+  const isVariantMode = mappingMode === "variant";
+  const variantTitles = Object.fromEntries(
+    product.variants.map((variant) => [toNumericId(variant.id), variant.title]),
+  );
+  const mappingKeys = isVariantMode
+    ? Object.keys(variantTitles)
+    : isCombination
+      ? combinationKeys
+      : optionValues;
+  const formatKey = (key) => {
+    if (isVariantMode) return variantTitles[key] ?? key;
+    if (isCombination) return formatCombinationLabel(key, combinedOptionNames);
+    return key;
+  };
+  const submitFields = (intent, nextMapping) => ({
+    intent,
+    mode: mappingMode,
+    productId: product.id,
+    optionName: selectedOptionName,
+    optionNames: JSON.stringify(combinedOptionNames),
+    mapping: JSON.stringify(nextMapping),
+    featured: JSON.stringify(featured),
+    settings: JSON.stringify(productSettings),
+  });
+
+  // An inherited value only counts while it has images, as on the server.
+  const fallback = productSettings.fallback ?? null;
+  const inheritValue = fallback?.value && mapping[fallback.value]?.length ? fallback.value : "";
+  const inheritedFallbackLabel = FALLBACK_OPTIONS.find(
+    (option) => option.value === inheritedSettings.fallback.mode,
+  )?.label;
+  const setProductSetting = (key, value) => {
+    setProductSettings((current) => withSettingOverride(current, key, value));
+  };
+
+  const mediaById = Object.fromEntries(
+    product.media.map((item) => [toNumericId(item.id), item]),
+  );
+
+  const buildAutoAssignProposal = () => {
+    const targets = mappingKeys.map((key) => {
+      if (isVariantMode) {
+        const variant = product.variants.find((v) => toNumericId(v.id) === key);
+        return { key, terms: (variant?.selectedOptions ?? []).map((opt) => opt.value) };
+      }
+      if (isCombination) {
+        return {
+          key,
+          terms: parseCombinationKey(key).filter((value) => value !== COMBINATION_WILDCARD),
+        };
+      }
+      return { key, terms: [key] };
+    });
+
+    const matches = proposeAutoAssignment(targets, product.media, {
+      exclusive: !settings.allowSharedImages,
+      toImageId: (image) => toNumericId(image.id),
+    });
+
+    const proposal = { ...mapping, ...matches };
+
+    // Keep images exclusive: a matched image leaves the values it was on before.
+    if (!settings.allowSharedImages) {
+      const matchedIds = new Set(Object.values(matches).flat());
+      for (const key of Object.keys(proposal)) {
+        if (matches[key]) continue;
+        proposal[key] = proposal[key].filter((id) => !matchedIds.has(id));
+      }
+    }
+
+    return proposal;
+  };
+
+  const autoAssignDiff = autoAssignProposal
+    ? diffMappings(mapping, autoAssignProposal, mappingKeys)
+    : [];
 
   return (
     <Page
@@ -197,27 +928,27 @@ export default function AssignImagesPage() {
         content: isSaving ? "Saving..." : "Save",
         disabled: isSaving,
         onAction: () => {
-          fetcher.submit(
-            {
-              intent: "save",
-              productId: product.id,
-              optionName: selectedOptionName,
-              mapping: JSON.stringify(mapping),
-            },
-            { method: "post" },
-          );
+          submit(submitFields("save", mapping));
         },
       }}
       secondaryActions={[
+        {
+          content: "Auto-assign",
+          disabled: isSaving || mappingKeys.length === 0,
+          onAction: () => setAutoAssignProposal(buildAutoAssignProposal()),
+        },
+        {
+          content: "History",
+          onAction: () => setHistoryOpen(true),
+        },
         {
           content: "Reset",
           disabled: isSaving,
           onAction: () => {
             setMapping({});
-            fetcher.submit(
-              { intent: "reset", productId: product.id, optionName: selectedOptionName, mapping: "{}" },
-              { method: "post" },
-            );
+            setFeatured({});
+            setCombinationKeys([]);
+            submit(submitFields("reset", {}));
           },
         },
       ]}
@@ -231,7 +962,11 @@ export default function AssignImagesPage() {
                   {product.title}
                 </Text>
                 <Text as="p" variant="bodySm" tone="subdued">
-                  Select one variant type (for example Color) and assign images only to its values.
+                  {isVariantMode
+                    ? "Assign images to individual variants, for example bundles or engraved SKUs."
+                    : isCombination
+                      ? "Combine variant types (for example Color and Material) and assign images to each combination."
+                      : "Select one variant type (for example Color) and assign images only to its values."}
                 </Text>
               </BlockStack>
               <ButtonGroup>
@@ -258,16 +993,58 @@ export default function AssignImagesPage() {
             </InlineStack>
 
             <Select
-              label="Variant type to map"
-              options={product.options.map((opt) => ({ label: opt.name, value: opt.name }))}
-              value={selectedOptionName}
+              label="Mapping mode"
+              options={[
+                { label: "Single variant type", value: "option" },
+                {
+                  label: "Combination of variant types",
+                  value: "combination",
+                  disabled: product.options.length < 2,
+                },
+                { label: "Individual variants", value: "variant" },
+              ]}
+              value={mappingMode}
               onChange={(value) => {
-                setSelectedOptionName(value);
+                setMappingMode(value);
+                setSelectedOptionNames(
+                  value === "combination" ? product.options.slice(0, 2).map((opt) => opt.name) : [],
+                );
+                setCombinationKeys([]);
                 setMapping({});
+                setFeatured({});
                 setActiveOptionValue(null);
               }}
             />
 
+            {isVariantMode ? null : isCombination ? (
+              <ChoiceList
+                title="Variant types to combine"
+                allowMultiple
+                choices={product.options.map((opt) => ({ label: opt.name, value: opt.name }))}
+                selected={selectedOptionNames}
+                error={selectedOptionNames.length < 2 ? "Select at least two variant types" : undefined}
+                onChange={(value) => {
+                  setSelectedOptionNames(value);
+                  setCombinationKeys([]);
+                  setMapping({});
+                  setFeatured({});
+                  setActiveOptionValue(null);
+                }}
+              />
+            ) : (
+              <Select
+                label="Variant type to map"
+                options={product.options.map((opt) => ({ label: opt.name, value: opt.name }))}
+                value={selectedOptionName}
+                onChange={(value) => {
+                  setSelectedOptionName(value);
+                  setMapping({});
+                  setFeatured({});
+                  setActiveOptionValue(null);
+                }}
+              />
+            )}
+
             <InlineStack gap="200" blockAlign="center">
               <Badge tone={settings.allowSharedImages ? "success" : "warning"}>
                 {settings.allowSharedImages
@@ -277,37 +1054,139 @@ export default function AssignImagesPage() {
               <Badge tone={settings.hideUnassignedImages ? "warning" : "info"}>
                 {settings.hideUnassignedImages ? "Unassigned images are hidden" : "Unassigned images remain visible"}
               </Badge>
+              <Badge tone={settings.reorderGallery ? "success" : "info"}>
+                {settings.reorderGallery ? "Gallery follows assigned order" : "Gallery keeps theme order"}
+              </Badge>
             </InlineStack>
           </BlockStack>
         </Card>
 
+        {isCombination && combinedOptions.length >= 2 ? (
+          <CombinationBuilder
+            options={combinedOptions}
+            onAdd={(key) => {
+              setCombinationKeys((prev) => (prev.includes(key) ? prev : [...prev, key]));
+            }}
+          />
+        ) : null}
+
         <BlockStack gap="300">
-          {optionValues.map((value) => {
+          {mappingKeys.map((value) => {
             const imageIds = mapping[value] ?? [];
             return (
               <OptionValueCard
                 key={value}
-                value={value}
+                value={formatKey(value)}
                 imageCount={imageIds.length}
                 onAssign={() => {
                   setActiveOptionValue(value);
                   setImageSearch("");
                   setShowAssignedOnly(false);
                 }}
+                onRemove={
+                  isCombination
+                    ? () => {
+                        setCombinationKeys((prev) => prev.filter((key) => key !== value));
+                        setMapping((prev) => {
+                          const next = { ...prev };
+                          delete next[value];
+                          return next;
+                        });
+                      }
+                    : undefined
+                }
               />
             );
           })}
         </BlockStack>
 
+        <Card>
+          <BlockStack gap="300">
+            <BlockStack gap="100">
+              <Text as="h2" variant="headingMd">
+                Product settings
+              </Text>
+              <Text as="p" variant="bodySm" tone="subdued">
+                Override the shop settings for this product. Saved with its mappings. Shop
+                settings include any settings rules this product matches.
+              </Text>
+            </BlockStack>
+            {PRODUCT_SETTING_KEYS.map((key) => (
+              <Select
+                key={key}
+                label={SETTING_LABELS[key]}
+                options={[
+                  { label: `Use shop setting (${inheritedSettings[key] ? "Yes" : "No"})`, value: "" },
+                  { label: "Yes", value: "true" },
+                  { label: "No", value: "false" },
+                ]}
+                value={key in productSettings ? String(productSettings[key]) : ""}
+                onChange={(value) => setProductSetting(key, value ? value === "true" : null)}
+              />
+            ))}
+            <Select
+              label="When the selected value has no images"
+              options={[
+                { label: `Use shop setting (${inheritedFallbackLabel})`, value: "" },
+                ...FALLBACK_OPTIONS,
+              ]}
+              value={fallback?.mode ?? ""}
+              helpText="What this product's gallery shows for values without assigned images."
+              onChange={(mode) => setProductSetting("fallback", mode ? { mode, value: "" } : null)}
+            />
+            {fallback?.mode === "inherit" ? (
+              <Select
+                label="Value to show instead"
+                options={[
+                  { label: "First value with images", value: "" },
+                  ...mappingKeys
+                    .filter((key) => mapping[key]?.length)
+                    .map((key) => ({ label: formatKey(key), value: key })),
+                ]}
+                value={inheritValue}
+                onChange={(value) => setProductSetting("fallback", { mode: "inherit", value })}
+              />
+            ) : null}
+          </BlockStack>
+        </Card>
+
         {fetcher.data?.ok ? (
           <Card>
             <Text as="p" tone="success">
-              {fetcher.data.intent === "reset" ? "Mappings reset." : "Mappings saved successfully."}
+              {fetcher.data.intent === "reset"
+                ? "Mappings reset. The previous version can be restored from History."
+                : fetcher.data.intent === "restore"
+                  ? "Version restored."
+                  : "Mappings saved successfully."}
             </Text>
+            {fetcher.data.resolvedConflicts?.length ? (
+              <Text as="p" tone="subdued">
+                {`${fetcher.data.resolvedConflicts.length} shared images were kept on one value each.`}
+              </Text>
+            ) : null}
+            {fetcher.data.variantSync?.updated ? (
+              <Text as="p" tone="subdued">
+                {`Featured images set on ${fetcher.data.variantSync.updated} variants.`}
+              </Text>
+            ) : null}
+            {fetcher.data.variantSync?.error ? (
+              <Text as="p" tone="critical">
+                {`Variant images were not updated: ${fetcher.data.variantSync.error}`}
+              </Text>
+            ) : null}
           </Card>
         ) : null}
 
-        {fetcher.data?.error ? (
+        {fetcher.data?.conflicts?.length ? (
+          <SharedImagesReport
+            conflicts={fetcher.data.conflicts}
+            mediaById={mediaById}
+            formatKey={formatKey}
+            error={fetcher.data.error}
+            isSaving={isSaving}
+            onResolve={() => submit({ ...lastSubmission, resolveConflicts: "true" })}
+          />
+        ) : fetcher.data?.error ? (
           <Card>
             <Text as="p" tone="critical">{fetcher.data.error}</Text>
           </Card>
@@ -317,21 +1196,27 @@ export default function AssignImagesPage() {
       <Modal
         open={Boolean(activeOptionValue)}
         onClose={() => setActiveOptionValue(null)}
-        title={activeOptionValue ? `Manage images · ${selectedOptionName}: ${activeOptionValue}` : "Manage images"}
+        title={
+          activeOptionValue
+            ? isCombination || isVariantMode
+              ? `Manage media · ${formatKey(activeOptionValue)}`
+              : `Manage media · ${selectedOptionName}: ${activeOptionValue}`
+            : "Manage media"
+        }
         primaryAction={{
           content: "Confirm selection",
           onAction: () => setActiveOptionValue(null),
         }}
         secondaryActions={[
           {
-            content: showAssignedOnly ? "Show all images" : "Show assigned images",
+            content: showAssignedOnly ? "Show all media" : "Show assigned media",
             onAction: () => setShowAssignedOnly((prev) => !prev),
           },
           {
             content: "Select all",
             onAction: () => {
               if (!activeOptionValue) return;
-              const allIds = (product.images ?? []).map((image) => toNumericId(image.id));
+              const allIds = (product.media ?? []).map((item) => toNumericId(item.id));
 
               if (!settings.allowSharedImages) {
                 const next = { ...mapping };
@@ -350,10 +1235,30 @@ export default function AssignImagesPage() {
           },
         ]}
       >
+        {activeOptionImages.length > 0 ? (
+          <Modal.Section>
+            <SortableMediaList
+              mediaIds={activeOptionImages}
+              mediaById={mediaById}
+              featuredId={featured[activeOptionValue] ?? null}
+              onReorder={(orderedIds) => {
+                setMapping((prev) => ({ ...prev, [activeOptionValue]: orderedIds }));
+              }}
+              onFeature={(mediaId) => {
+                setFeatured((prev) => {
+                  const next = { ...prev };
+                  if (mediaId) next[activeOptionValue] = mediaId;
+                  else delete next[activeOptionValue];
+                  return next;
+                });
+              }}
+            />
+          </Modal.Section>
+        ) : null}
         <Modal.Section>
           <BlockStack gap="300">
             <TextField
-              label="Search images"
+              label="Search media"
               value={imageSearch}
               onChange={setImageSearch}
               autoComplete="off"
@@ -414,12 +1319,7 @@ export default function AssignImagesPage() {
                         textAlign: "left",
                       }}
                     >
-                      <img
-                        src={`${image.url.split("?")[0]}?width=240&height=240&crop=center`}
-                        alt={image.altText || "Product image"}
-                        width="100%"
-                        style={{ borderRadius: 6, aspectRatio: "1/1", objectFit: "cover" }}
-                      />
+                      <MediaPreview media={image} />
                     </button>
                   );
                 })}
@@ -428,6 +1328,33 @@ export default function AssignImagesPage() {
           </BlockStack>
         </Modal.Section>
       </Modal>
+
+      <AutoAssignModal
+        open={Boolean(autoAssignProposal)}
+        diff={autoAssignDiff}
+        mediaById={mediaById}
+        formatKey={formatKey}
+        isSaving={isSaving}
+        onClose={() => setAutoAssignProposal(null)}
+        onApply={() => {
+          setMapping(autoAssignProposal);
+          submit(submitFields("auto-assign", autoAssignProposal));
+          setAutoAssignProposal(null);
+        }}
+      />
+
+      <HistoryModal
+        open={historyOpen}
+        revisions={revisions}
+        mediaById={mediaById}
+        variantTitles={variantTitles}
+        isSaving={isSaving}
+        onClose={() => setHistoryOpen(false)}
+        onRestore={(revisionId, side) => {
+          submit({ intent: "restore", productId: product.id, revisionId, side });
+          setHistoryOpen(false);
+        }}
+      />
     </Page>
   );
 }
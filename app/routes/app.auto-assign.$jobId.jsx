@@ -0,0 +1,141 @@
+import { useEffect } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { TitleBar } from "@shopify/app-bridge-react";
+import {
+  Badge,
+  BlockStack,
+  Card,
+  DataTable,
+  InlineStack,
+  Link,
+  Page,
+  ProgressBar,
+  Text,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getAutoAssignJob } from "../models/auto-assign-jobs.server";
+import {
+  ACTIVE_JOB_STATUSES,
+  PAGE_RUN_BUDGET_MS,
+  runBackgroundJobs,
+} from "../models/background-jobs.server";
+
+const POLL_INTERVAL_MS = 3000;
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const job = await getAutoAssignJob(session.shop, params.jobId);
+
+  if (!job) {
+    throw new Response("Job not found", { status: 404 });
+  }
+
+  return { job, isActive: ACTIVE_JOB_STATUSES.includes(job.status) };
+};
+
+// Polled while the job is active, so it moves on between scheduled runs.
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  return runBackgroundJobs({ shop: session.shop, budgetMs: PAGE_RUN_BUDGET_MS });
+};
+
+const STATUS_TONES = {
+  pending: "info",
+  running: "attention",
+  completed: "success",
+  failed: "critical",
+  assigned: "success",
+  skipped: "info",
+};
+
+function Stat({ label, value }) {
+  return (
+    <BlockStack gap="100">
+      <Text as="p" variant="bodySm" tone="subdued">
+        {label}
+      </Text>
+      <Text as="p" variant="headingMd">
+        {value}
+      </Text>
+    </BlockStack>
+  );
+}
+
+export default function AutoAssignJobPage() {
+  const { job, isActive } = useLoaderData();
+  const fetcher = useFetcher();
+
+  // Each poll runs the shop's jobs for a few seconds; the loader data is
+  // revalidated after every run, until the job finishes.
+  useEffect(() => {
+    if (!isActive) return undefined;
+    const timer = setInterval(() => {
+      if (fetcher.state === "idle") fetcher.submit({}, { method: "post" });
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isActive, fetcher]);
+
+  const progress = job.total > 0 ? Math.round((job.processed / job.total) * 100) : isActive ? 0 : 100;
+
+  return (
+    <Page
+      title="Auto-assign job"
+      subtitle={`Started ${new Date(job.createdAt).toLocaleString()}`}
+      backAction={{ content: "Bulk auto-assign", url: "/app/auto-assign" }}
+      titleMetadata={<Badge tone={STATUS_TONES[job.status]}>{job.status}</Badge>}
+    >
+      <TitleBar title="Auto-assign job" />
+
+      <BlockStack gap="500">
+        <Card>
+          <BlockStack gap="400">
+            <ProgressBar progress={progress} size="small" />
+            <InlineStack gap="800">
+              <Stat label="Processed" value={`${job.processed} / ${job.total}`} />
+              <Stat label="Assigned" value={job.assigned} />
+              <Stat label="Skipped" value={job.skipped} />
+              <Stat label="Failed" value={job.failed} />
+            </InlineStack>
+            {job.error ? (
+              <Text as="p" tone="critical">
+                {job.error}
+              </Text>
+            ) : null}
+          </BlockStack>
+        </Card>
+
+        <Card>
+          <BlockStack gap="300">
+            <Text as="h2" variant="headingMd">
+              Results
+            </Text>
+            {job.results.length === 0 ? (
+              <Text as="p" tone="subdued">
+                {isActive ? "Waiting for the first products…" : "No products were processed."}
+              </Text>
+            ) : (
+              <DataTable
+                columnContentTypes={["text", "text", "numeric", "text"]}
+                headings={["Product", "Result", "Values mapped", "Details"]}
+                rows={job.results.map((result) => [
+                  <Link
+                    key={`${result.id}-product`}
+                    url={`/app/assign-images?productId=${encodeURIComponent(result.productId)}`}
+                    removeUnderline
+                  >
+                    {result.title}
+                  </Link>,
+                  <Badge key={`${result.id}-status`} tone={STATUS_TONES[result.status]}>
+                    {result.status}
+                  </Badge>,
+                  String(result.assignedValues),
+                  result.message ?? "",
+                ])}
+              />
+            )}
+          </BlockStack>
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -0,0 +1,218 @@
+import { useState } from "react";
+import { Form, useActionData, useLoaderData, useNavigation } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import { TitleBar } from "@shopify/app-bridge-react";
+import {
+  Badge,
+  BlockStack,
+  Button,
+  Card,
+  Checkbox,
+  ChoiceList,
+  DataTable,
+  FormLayout,
+  InlineStack,
+  Link,
+  Page,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { listAutoAssignJobs, startAutoAssignJob } from "../models/auto-assign-jobs.server";
+import { expireStaleJobs } from "../models/background-jobs.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  await expireStaleJobs(session.shop);
+  const jobs = await listAutoAssignJobs(session.shop);
+
+  return { jobs };
+};
+
+export const action = async ({ request }) => {
+  const { session, redirect } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const scope = formData.get("scope") === "selected" ? "selected" : "unconfigured";
+  let productIds = [];
+  try {
+    productIds = JSON.parse(String(formData.get("productIds") || "[]"));
+  } catch {
+    productIds = [];
+  }
+
+  const optionNames = String(formData.get("optionNames") || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  const synonyms = String(formData.get("synonyms") || "")
+    .split("\n")
+    .map((line) => line.split(",").map((term) => term.trim()).filter(Boolean))
+    .filter((group) => group.length > 1);
+
+  try {
+    const job = await startAutoAssignJob(session.shop, {
+      scope,
+      productIds: Array.isArray(productIds) ? productIds.map(String) : [],
+      rules: { optionNames, synonyms, overwrite: formData.get("overwrite") === "true" },
+    });
+    return redirect(`/app/auto-assign/${job.id}`);
+  } catch (error) {
+    return json({ ok: false, error: error.message }, { status: 400 });
+  }
+};
+
+const STATUS_TONES = {
+  pending: "info",
+  running: "attention",
+  completed: "success",
+  failed: "critical",
+};
+
+function JobStatusBadge({ status }) {
+  return <Badge tone={STATUS_TONES[status]}>{status}</Badge>;
+}
+
+export default function AutoAssignPage() {
+  const { jobs } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state !== "idle";
+
+  const [scope, setScope] = useState("unconfigured");
+  const [selectedProducts, setSelectedProducts] = useState([]);
+  const [optionNames, setOptionNames] = useState("Color, Colour");
+  const [synonyms, setSynonyms] = useState("");
+  const [overwrite, setOverwrite] = useState(false);
+
+  const pickProducts = async () => {
+    const selection = await shopify.resourcePicker({
+      type: "product",
+      multiple: true,
+      selectionIds: selectedProducts.map((product) => ({ id: product.id })),
+      filter: { variants: false },
+    });
+    if (selection) {
+      setSelectedProducts(selection.map((product) => ({ id: product.id, title: product.title })));
+    }
+  };
+
+  const canStart = scope === "unconfigured" || selectedProducts.length > 0;
+
+  return (
+    <Page
+      title="Bulk auto-assign"
+      subtitle="Assign images to many products by matching option values to alt text and filenames"
+      backAction={{ content: "Configured products", url: "/app/configured-products" }}
+    >
+      <TitleBar title="Bulk auto-assign" />
+
+      <BlockStack gap="500">
+        {actionData?.error ? (
+          <Card>
+            <Text as="p" tone="critical">
+              {actionData.error}
+            </Text>
+          </Card>
+        ) : null}
+
+        <Card>
+          <Form method="post">
+            <input type="hidden" name="scope" value={scope} />
+            <input
+              type="hidden"
+              name="productIds"
+              value={JSON.stringify(selectedProducts.map((product) => product.id))}
+            />
+            <input type="hidden" name="overwrite" value={String(overwrite)} />
+
+            <FormLayout>
+              <ChoiceList
+                title="Products"
+                choices={[
+                  { label: "All unconfigured multi-variant products", value: "unconfigured" },
+                  { label: "Selected products", value: "selected" },
+                ]}
+                selected={[scope]}
+                onChange={([value]) => setScope(value)}
+              />
+
+              {scope === "selected" ? (
+                <BlockStack gap="200">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Button onClick={pickProducts}>Select products</Button>
+                    <Text as="span" tone="subdued">
+                      {selectedProducts.length} selected
+                    </Text>
+                  </InlineStack>
+                  {selectedProducts.length > 0 ? (
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      {selectedProducts.map((product) => product.title).join(", ")}
+                    </Text>
+                  ) : null}
+                </BlockStack>
+              ) : null}
+
+              <TextField
+                label="Variant type to map"
+                name="optionNames"
+                value={optionNames}
+                onChange={setOptionNames}
+                autoComplete="off"
+                helpText="Comma-separated names, first match wins. Leave empty to use each product's first option."
+              />
+
+              <TextField
+                label="Extra synonyms"
+                name="synonyms"
+                value={synonyms}
+                onChange={setSynonyms}
+                multiline={3}
+                autoComplete="off"
+                placeholder={"burgundy, wine, maroon\nsand, beige"}
+                helpText="One group per line, comma-separated. Added to the built-in list (grey/gray, black/blk, ...)."
+              />
+
+              <Checkbox
+                label="Overwrite products that already have a mapping"
+                checked={overwrite}
+                onChange={setOverwrite}
+              />
+
+              <Button submit variant="primary" loading={isSubmitting} disabled={!canStart}>
+                Start auto-assign
+              </Button>
+            </FormLayout>
+          </Form>
+        </Card>
+
+        <Card>
+          <BlockStack gap="300">
+            <Text as="h2" variant="headingMd">
+              Recent jobs
+            </Text>
+            {jobs.length === 0 ? (
+              <Text as="p" tone="subdued">
+                No auto-assign jobs yet.
+              </Text>
+            ) : (
+              <DataTable
+                columnContentTypes={["text", "text", "text", "numeric", "text"]}
+                headings={["Started", "Products", "Status", "Progress", "Details"]}
+                rows={jobs.map((job) => [
+                  new Date(job.createdAt).toLocaleString(),
+                  job.scope === "selected" ? "Selected" : "All unconfigured",
+                  <JobStatusBadge key={`${job.id}-status`} status={job.status} />,
+                  `${job.processed} / ${job.total}`,
+                  <Link key={`${job.id}-link`} url={`/app/auto-assign/${job.id}`} removeUnderline>
+                    View
+                  </Link>,
+                ])}
+              />
+            )}
+          </BlockStack>
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
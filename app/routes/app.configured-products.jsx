@@ -1,41 +1,92 @@
-import { useLoaderData, useSearchParams } from "@remix-run/react";
+import { useEffect } from "react";
+import { useFetcher, useLoaderData, useRevalidator, useSearchParams } from "@remix-run/react";
+import { json } from "@remix-run/node";
 import { TitleBar } from "@shopify/app-bridge-react";
 import {
   Badge,
+  Banner,
   BlockStack,
   Button,
   Card,
   DataTable,
+  ChoiceList,
   EmptySearchResult,
   Filters,
   InlineStack,
   Page,
+  Pagination,
   Text,
 } from "@shopify/polaris";
 import { authenticate } from "../shopify.server";
-import { ensureMetafieldDefinitions, listProducts } from "../models/variant-images.server";
+import { ensureMetafieldDefinitions } from "../models/variant-images.server";
+import {
+  countIndexedProducts,
+  ensureProductIndex,
+  listIndexedProducts,
+  queueProductIndexBuild,
+} from "../models/product-index.server";
+import { PAGE_RUN_BUDGET_MS, runBackgroundJobs } from "../models/background-jobs.server";
+
+const PAGE_SIZE = 25;
+const POLL_INTERVAL_MS = 3000;
+const STATUS_FILTERS = ["configured", "unconfigured"];
 
 export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const url = new URL(request.url);
   const query = url.searchParams.get("q")?.trim() ?? "";
+  const requestedStatus = url.searchParams.get("status");
+  const status = STATUS_FILTERS.includes(requestedStatus) ? requestedStatus : "all";
 
   await ensureMetafieldDefinitions(admin);
+  // While the index builds, each load gives it a short run, so the list fills
+  // in as the merchant waits.
+  const indexState = await ensureProductIndex(session.shop);
+  if (indexState.status === "building") {
+    await runBackgroundJobs({ shop: session.shop, budgetMs: PAGE_RUN_BUDGET_MS });
+  }
 
-  const products = await listProducts(admin, {
-    first: 80,
-    query: query ? `title:*${query.replace(/\s+/g, "*")}*` : "",
-  });
-
-  const multiVariantProducts = products.filter((product) => product.variantsCount > 1);
+  const [{ products, pageInfo }, configuredCount, unconfiguredCount] = await Promise.all([
+    listIndexedProducts(session.shop, {
+      first: PAGE_SIZE,
+      after: url.searchParams.get("after"),
+      before: url.searchParams.get("before"),
+      query,
+      status,
+      multiVariantOnly: true,
+    }),
+    // Counts follow the search so they match the list.
+    countIndexedProducts(session.shop, { query, status: "configured", multiVariantOnly: true }),
+    countIndexedProducts(session.shop, { query, status: "unconfigured", multiVariantOnly: true }),
+  ]);
 
   return {
     query,
-    configured: multiVariantProducts.filter((product) => product.isConfigured),
-    unconfigured: multiVariantProducts.filter((product) => !product.isConfigured),
+    status,
+    products,
+    pageInfo,
+    counts: {
+      configured: configuredCount,
+      unconfigured: unconfiguredCount,
+      all: configuredCount + unconfiguredCount,
+    },
+    isIndexBuilding: indexState.status === "building",
+    syncedAt: indexState.syncedAt,
   };
 };
 
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("intent") !== "resync") {
+    return json({ ok: false, error: "Unknown action" }, { status: 400 });
+  }
+
+  await queueProductIndexBuild(session.shop);
+  return json({ ok: true });
+};
+
 function ProductCell({ product }) {
   return (
     <InlineStack gap="200" blockAlign="center" wrap={false}>
@@ -60,51 +111,103 @@ function ProductCell({ product }) {
   );
 }
 
-function ProductsTable({ products, isConfigured }) {
-  if (products.length === 0) {
-    return (
-      <EmptySearchResult
-        title={isConfigured ? "No configured products" : "No products to configure"}
-        description={
-          isConfigured
-            ? "Assign images to a product variant to see it here."
-            : "No multi-variant products matched your search."
-        }
-        withIllustration
-      />
-    );
+const EMPTY_STATES = {
+  configured: {
+    title: "No configured products",
+    description: "Assign images to a product variant to see it here.",
+  },
+  unconfigured: {
+    title: "No products to configure",
+    description: "No multi-variant products matched your search.",
+  },
+  all: {
+    title: "No products found",
+    description: "No multi-variant products matched your search.",
+  },
+};
+
+function ProductsTable({ products, status, pageInfo, onNext, onPrevious }) {
+  if (products.length === 0 && !pageInfo.hasPreviousPage && !pageInfo.hasNextPage) {
+    return <EmptySearchResult {...EMPTY_STATES[status]} withIllustration />;
   }
 
   return (
-    <DataTable
-      columnContentTypes={["text", "numeric", "numeric", "text", "text"]}
-      headings={["Product", "Variants", "Media", "Status", "Action"]}
-      rows={products.map((product) => [
-        <ProductCell key={`${product.id}-title`} product={product} />,
-        String(product.variantsCount),
-        String(product.mediaCount),
-        <Badge
-          key={`${product.id}-status`}
-          tone={product.isConfigured ? "success" : "attention"}
-        >
-          {product.isConfigured ? "Active" : "Action needed"}
-        </Badge>,
-        <Button
-          key={`${product.id}-button`}
-          url={`/app/assign-images?productId=${encodeURIComponent(product.id)}`}
-          variant={product.isConfigured ? "secondary" : "primary"}
-          size="slim"
-        >
-          Assign images
-        </Button>,
-      ])}
-    />
+    <BlockStack gap="300">
+      <DataTable
+        columnContentTypes={["text", "numeric", "numeric", "text", "text"]}
+        headings={["Product", "Variants", "Media", "Status", "Action"]}
+        rows={products.map((product) => [
+          <ProductCell key={`${product.id}-title`} product={product} />,
+          String(product.variantsCount),
+          String(product.mediaCount),
+          <Badge
+            key={`${product.id}-status`}
+            tone={product.isConfigured ? "success" : "attention"}
+          >
+            {product.isConfigured ? "Active" : "Action needed"}
+          </Badge>,
+          <Button
+            key={`${product.id}-button`}
+            url={`/app/assign-images?productId=${encodeURIComponent(product.id)}`}
+            variant={product.isConfigured ? "secondary" : "primary"}
+            size="slim"
+          >
+            Assign images
+          </Button>,
+        ])}
+      />
+      <InlineStack align="center">
+        <Pagination
+          hasPrevious={pageInfo.hasPreviousPage}
+          onPrevious={onPrevious}
+          hasNext={pageInfo.hasNextPage}
+          onNext={onNext}
+        />
+      </InlineStack>
+    </BlockStack>
   );
 }
 
+const SECTION_HEADINGS = {
+  configured: { title: "Active mappings", tone: "success" },
+  unconfigured: { title: "Products to configure", tone: "attention" },
+  all: { title: "Multi-variant products", tone: "info" },
+};
+
 export default function ConfiguredProductsPage() {
-  const { configured, unconfigured, query } = useLoaderData();
+  const { products, pageInfo, status, query, counts, isIndexBuilding, syncedAt } =
+    useLoaderData();
   const [searchParams, setSearchParams] = useSearchParams();
+  const fetcher = useFetcher();
+  const revalidator = useRevalidator();
+  const isSyncing = fetcher.state !== "idle" || isIndexBuilding;
+
+  useEffect(() => {
+    if (!isIndexBuilding) return undefined;
+    const timer = setInterval(() => {
+      if (revalidator.state === "idle") revalidator.revalidate();
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isIndexBuilding, revalidator]);
+
+  // Any filter change starts over from the first page.
+  const updateParams = (apply) => {
+    const next = new URLSearchParams(searchParams);
+    next.delete("after");
+    next.delete("before");
+    apply(next);
+    setSearchParams(next, { replace: true });
+  };
+
+  const goToPage = (key, cursor) => {
+    const next = new URLSearchParams(searchParams);
+    next.delete("after");
+    next.delete("before");
+    next.set(key, cursor);
+    setSearchParams(next);
+  };
+
+  const heading = SECTION_HEADINGS[status];
 
   return (
     <Page
@@ -112,54 +215,107 @@ export default function ConfiguredProductsPage() {
       backAction={{ content: "Overview", url: "/app" }}
       primaryAction={{
         content: "Configure new product",
-        url: "/app/configured-products",
+        url: "/app/configured-products?status=unconfigured",
       }}
+      secondaryActions={[
+        {
+          content: isSyncing ? "Rebuilding index..." : "Refresh product index",
+          disabled: isSyncing,
+          onAction: () => fetcher.submit({ intent: "resync" }, { method: "post" }),
+        },
+      ]}
     >
       <TitleBar title="Configured products" />
 
-      <Card>
-        <BlockStack gap="400">
-          <Filters
-            queryValue={query}
-            onQueryChange={(value) => {
-              const next = new URLSearchParams(searchParams);
-              if (value) {
-                next.set("q", value);
-              } else {
-                next.delete("q");
+      <BlockStack gap="400">
+        {isIndexBuilding ? (
+          <Banner tone="info">
+            <p>
+              The product index is being rebuilt. Products appear here as they are indexed.
+            </p>
+          </Banner>
+        ) : null}
+
+        <Card>
+          <BlockStack gap="400">
+            <Filters
+              queryValue={query}
+              onQueryChange={(value) => {
+                updateParams((next) => {
+                  if (value) {
+                    next.set("q", value);
+                  } else {
+                    next.delete("q");
+                  }
+                });
+              }}
+              onQueryClear={() => updateParams((next) => next.delete("q"))}
+              filters={[
+                {
+                  key: "status",
+                  label: "Status",
+                  filter: (
+                    <ChoiceList
+                      title="Status"
+                      titleHidden
+                      choices={[
+                        { label: "Configured", value: "configured" },
+                        { label: "Needs configuration", value: "unconfigured" },
+                      ]}
+                      selected={status === "all" ? [] : [status]}
+                      onChange={([value]) =>
+                        updateParams((next) => {
+                          if (value) {
+                            next.set("status", value);
+                          } else {
+                            next.delete("status");
+                          }
+                        })
+                      }
+                    />
+                  ),
+                  shortcut: true,
+                },
+              ]}
+              appliedFilters={
+                status === "all"
+                  ? []
+                  : [
+                      {
+                        key: "status",
+                        label: status === "configured" ? "Configured" : "Needs configuration",
+                        onRemove: () => updateParams((next) => next.delete("status")),
+                      },
+                    ]
               }
-              setSearchParams(next, { replace: true });
-            }}
-            onQueryClear={() => {
-              const next = new URLSearchParams(searchParams);
-              next.delete("q");
-              setSearchParams(next, { replace: true });
-            }}
-            filters={[]}
-            appliedFilters={[]}
-          />
-
-          <BlockStack gap="300">
-            <InlineStack align="space-between" blockAlign="center">
-              <Text as="h2" variant="headingMd">
-                Active mappings
-              </Text>
-              <Badge tone="success">{configured.length}</Badge>
-            </InlineStack>
-            <ProductsTable products={configured} isConfigured />
-          </BlockStack>
+              onClearAll={() => updateParams((next) => next.delete("status"))}
+            />
+
+            <BlockStack gap="300">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text as="h2" variant="headingMd">
+                  {heading.title}
+                </Text>
+                <Badge tone={heading.tone}>{String(counts[status])}</Badge>
+              </InlineStack>
+              <ProductsTable
+                products={products}
+                status={status}
+                pageInfo={pageInfo}
+                onNext={() => goToPage("after", pageInfo.endCursor)}
+                onPrevious={() => goToPage("before", pageInfo.startCursor)}
+              />
+            </BlockStack>
 
-          <BlockStack gap="300">
-            <InlineStack align="space-between" blockAlign="center">
-              <Text as="h2" variant="headingMd">
-                Products to configure
+            {syncedAt ? (
+              <Text as="p" variant="bodySm" tone="subdued">
+                Product index last rebuilt {new Date(syncedAt).toLocaleString()}. Saves and product
+                webhooks keep it up to date.
               </Text>
-              <Badge tone="attention">{unconfigured.length}</Badge>
-            </InlineStack>
-            <ProductsTable products={unconfigured} isConfigured={false} />
+            ) : null}
           </BlockStack>
-        </BlockStack>
-      </Card>
+        </Card>
+      </BlockStack>
     </Page>
   );
 }
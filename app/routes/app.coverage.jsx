@@ -0,0 +1,238 @@
+import { useFetcher, useLoaderData, useSearchParams } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import { TitleBar } from "@shopify/app-bridge-react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  EmptySearchResult,
+  InlineStack,
+  Page,
+  Pagination,
+  Text,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { cleanUpProductMappings, getCoverageReport } from "../models/coverage-report.server";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  return getCoverageReport(admin, session.shop, {
+    after: url.searchParams.get("after"),
+    before: url.searchParams.get("before"),
+  });
+};
+
+export const action = async ({ request }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("intent") !== "cleanup") {
+    return json({ ok: false, error: "Unknown action" }, { status: 400 });
+  }
+
+  let productIds = [];
+  try {
+    productIds = JSON.parse(String(formData.get("productIds") || "[]"));
+  } catch {
+    productIds = [];
+  }
+  if (!Array.isArray(productIds) || productIds.length === 0) {
+    return json({ ok: false, error: "No products to clean up" }, { status: 400 });
+  }
+
+  try {
+    const result = await cleanUpProductMappings(admin, session.shop, productIds.map(String), {
+      userId: sessionToken?.sub,
+    });
+    return json({ ok: true, ...result });
+  } catch (error) {
+    return json({ ok: false, error: error.message }, { status: 500 });
+  }
+};
+
+function listLabels(labels, limit = 5) {
+  const shown = labels.slice(0, limit).join(", ");
+  return labels.length > limit ? `${shown} and ${labels.length - limit} more` : shown;
+}
+
+function ProductIssues({ row }) {
+  return (
+    <BlockStack gap="100">
+      {row.staleKeys.length > 0 ? (
+        <Text as="p" tone="critical">
+          {`No longer on the product: ${listLabels(row.staleKeys)}`}
+        </Text>
+      ) : null}
+      {row.missingMediaCount > 0 ? (
+        <Text as="p" tone="critical">
+          {`${row.missingMediaCount} assigned media were deleted`}
+        </Text>
+      ) : null}
+      {!row.isConfigured ? (
+        <Text as="p">No images assigned yet</Text>
+      ) : row.emptyValues.length > 0 ? (
+        <Text as="p">{`No images: ${listLabels(row.emptyValues)}`}</Text>
+      ) : null}
+      {row.unassignedMediaCount > 0 ? (
+        <Text as="p" tone="subdued">
+          {`${row.unassignedMediaCount} media not assigned to any value are hidden`}
+        </Text>
+      ) : null}
+    </BlockStack>
+  );
+}
+
+function ReportRow({ row, isCleaning, onCleanUp }) {
+  return (
+    <InlineStack align="space-between" blockAlign="start" gap="400" wrap={false}>
+      <InlineStack gap="300" blockAlign="start" wrap={false}>
+        {row.image ? (
+          <img
+            src={`${row.image.url.split("?")[0]}?width=72&height=72&crop=center`}
+            alt={row.image.altText || row.title}
+            width={40}
+            height={40}
+            style={{ borderRadius: 6, border: "1px solid #dfe3e8" }}
+          />
+        ) : null}
+        <BlockStack gap="200">
+          <InlineStack gap="200" blockAlign="center">
+            <Text as="h3" variant="headingSm">
+              {row.title}
+            </Text>
+            {!row.isChecked ? <Badge>Not checked</Badge> : null}
+            {row.needsCleanup ? <Badge tone="critical">Needs clean-up</Badge> : null}
+            {row.isChecked && !row.isConfigured ? (
+              <Badge tone="attention">Not configured</Badge>
+            ) : null}
+          </InlineStack>
+          {row.isChecked ? (
+            <ProductIssues row={row} />
+          ) : (
+            <Text as="p" tone="subdued">
+              Shopify limited requests before this product was checked. Reload the page to check it.
+            </Text>
+          )}
+        </BlockStack>
+      </InlineStack>
+      <InlineStack gap="200" wrap={false}>
+        {row.needsCleanup ? (
+          <Button size="slim" onClick={onCleanUp} disabled={isCleaning}>
+            Clean up
+          </Button>
+        ) : null}
+        <Button
+          size="slim"
+          url={`/app/assign-images?productId=${encodeURIComponent(row.id)}`}
+        >
+          Assign images
+        </Button>
+      </InlineStack>
+    </InlineStack>
+  );
+}
+
+export default function CoverageReportPage() {
+  const { rows, pageInfo, checked, isIndexBuilding } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const fetcher = useFetcher();
+  const isCleaning = fetcher.state !== "idle";
+
+  const issueCount = rows.filter((row) => row.isChecked).length;
+  const cleanupIds = rows.filter((row) => row.needsCleanup).map((row) => row.id);
+  const cleanUp = (productIds) => {
+    fetcher.submit(
+      { intent: "cleanup", productIds: JSON.stringify(productIds) },
+      { method: "post" },
+    );
+  };
+
+  const goToPage = (key, cursor) => {
+    const next = new URLSearchParams(searchParams);
+    next.delete("after");
+    next.delete("before");
+    next.set(key, cursor);
+    setSearchParams(next);
+  };
+
+  return (
+    <Page
+      title="Coverage report"
+      backAction={{ content: "Overview", url: "/app" }}
+      primaryAction={{
+        content: isCleaning ? "Cleaning up..." : `Clean up ${cleanupIds.length} products`,
+        disabled: isCleaning || cleanupIds.length === 0,
+        onAction: () => cleanUp(cleanupIds),
+      }}
+    >
+      <TitleBar title="Coverage report" />
+
+      <BlockStack gap="400">
+        {isIndexBuilding ? (
+          <Banner tone="info">
+            <p>The product index is still being built, so some products may not be listed yet.</p>
+          </Banner>
+        ) : null}
+        {fetcher.data?.ok ? (
+          <Banner tone="success">
+            <p>{`${fetcher.data.cleaned} product maps cleaned up.`}</p>
+          </Banner>
+        ) : null}
+        {fetcher.data?.error ? (
+          <Banner tone="critical">
+            <p>{fetcher.data.error}</p>
+          </Banner>
+        ) : null}
+
+        <Card>
+          <BlockStack gap="400">
+            <BlockStack gap="100">
+              <Text as="p">
+                {`${checked} products checked on this page, ${issueCount} with issues.`}
+              </Text>
+              <Text as="p" variant="bodySm" tone="subdued">
+                Clean-up removes values that are no longer on a product and media that were
+                deleted, as a product update would. Values without images, products without a map
+                and media hidden because they&apos;re unassigned are left for you to assign.
+              </Text>
+            </BlockStack>
+
+            {rows.length === 0 ? (
+              <EmptySearchResult
+                title="No issues found"
+                description="Every product checked here has a map, every value has images and no media are hidden for being unassigned."
+                withIllustration
+              />
+            ) : (
+              <BlockStack gap="400">
+                {rows.map((row) => (
+                  <ReportRow
+                    key={row.id}
+                    row={row}
+                    isCleaning={isCleaning}
+                    onCleanUp={() => cleanUp([row.id])}
+                  />
+                ))}
+              </BlockStack>
+            )}
+
+            {pageInfo.hasPreviousPage || pageInfo.hasNextPage ? (
+              <InlineStack align="center">
+                <Pagination
+                  hasPrevious={pageInfo.hasPreviousPage}
+                  onPrevious={() => goToPage("before", pageInfo.startCursor)}
+                  hasNext={pageInfo.hasNextPage}
+                  onNext={() => goToPage("after", pageInfo.endCursor)}
+                />
+              </InlineStack>
+            ) : null}
+          </BlockStack>
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -23,6 +23,9 @@ export default function App() {
           Overview
         </Link>
         <Link to="/app/configured-products">Configured products</Link>
+        <Link to="/app/auto-assign">Bulk auto-assign</Link>
+        <Link to="/app/mappings">Import and export</Link>
+        <Link to="/app/coverage">Coverage report</Link>
         <Link to="/app/settings">Variant image settings</Link>
       </NavMenu>
       <Outlet />
@@ -0,0 +1,21 @@
+import { authenticate } from "../shopify.server";
+import { readMappingExportCsv } from "../models/mapping-csv.server";
+
+// Downloads a finished export; exports are queued and followed from the
+// import and export page.
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const jobId = new URL(request.url).searchParams.get("jobId");
+  const csv = jobId ? await readMappingExportCsv(session.shop, jobId) : null;
+  if (csv === null) {
+    return new Response("This export isn't ready to download.", { status: 404 });
+  }
+  const date = new Date().toISOString().slice(0, 10);
+
+  return new Response(csv, {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="variant-image-mappings-${date}.csv"`,
+    },
+  });
+};
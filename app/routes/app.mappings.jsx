@@ -0,0 +1,289 @@
+import { useEffect, useState } from "react";
+import {
+  Form,
+  useActionData,
+  useFetcher,
+  useLoaderData,
+  useNavigation,
+  useRevalidator,
+} from "@remix-run/react";
+import { json } from "@remix-run/node";
+import { TitleBar } from "@shopify/app-bridge-react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Button,
+  Card,
+  Checkbox,
+  DataTable,
+  FormLayout,
+  InlineStack,
+  Page,
+  Text,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  CSV_COLUMNS,
+  getLatestMappingExport,
+  importMappingsCsv,
+  queueMappingExport,
+} from "../models/mapping-csv.server";
+import {
+  ACTIVE_JOB_STATUSES,
+  PAGE_RUN_BUDGET_MS,
+  runBackgroundJobs,
+} from "../models/background-jobs.server";
+
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+const POLL_INTERVAL_MS = 3000;
+
+const EXPORT_TONES = {
+  pending: "info",
+  running: "attention",
+  completed: "success",
+  failed: "critical",
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  // While an export is being built, each load gives the run a few seconds.
+  let exportJob = await getLatestMappingExport(session.shop);
+  if (exportJob && ACTIVE_JOB_STATUSES.includes(exportJob.status)) {
+    await runBackgroundJobs({ shop: session.shop, budgetMs: PAGE_RUN_BUDGET_MS });
+    exportJob = await getLatestMappingExport(session.shop);
+  }
+
+  return {
+    columns: CSV_COLUMNS,
+    exportJob: exportJob
+      ? {
+          id: exportJob.id,
+          isActive: ACTIVE_JOB_STATUSES.includes(exportJob.status),
+          status: exportJob.status,
+          processed: exportJob.processed,
+          total: exportJob.total,
+          error: exportJob.error,
+        }
+      : null,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("intent") === "export") {
+    const job = await queueMappingExport(session.shop);
+    if (!job) {
+      return json(
+        {
+          ok: false,
+          error: "The product index is still being built. Try again in a few minutes.",
+        },
+        { status: 409 },
+      );
+    }
+    return json({ ok: true, jobId: job.id });
+  }
+
+  const file = formData.get("file");
+  const dryRun = formData.get("dryRun") === "true";
+
+  if (!file || typeof file === "string" || file.size === 0) {
+    return json({ ok: false, error: "Choose a CSV file to import" }, { status: 400 });
+  }
+  if (file.size > MAX_IMPORT_BYTES) {
+    return json({ ok: false, error: "CSV files are limited to 5 MB" }, { status: 400 });
+  }
+
+  try {
+    const result = await importMappingsCsv(admin, session.shop, await file.text(), {
+      dryRun,
+      userId: sessionToken?.sub,
+    });
+    return json({ ok: result.errors.length === 0, dryRun, ...result });
+  } catch (error) {
+    return json({ ok: false, error: error.message }, { status: 500 });
+  }
+};
+
+function ImportResult({ result }) {
+  const { dryRun, rowCount, applied, errors } = result;
+  const verb = dryRun ? "would be updated" : "updated";
+
+  return (
+    <BlockStack gap="300">
+      <Banner tone={errors.length > 0 ? "warning" : "success"}>
+        <p>
+          {rowCount} rows read. {applied.length} products {verb}
+          {errors.length > 0 ? `; ${errors.length} rows have errors and their products were skipped.` : "."}
+        </p>
+      </Banner>
+
+      {applied.length > 0 ? (
+        <DataTable
+          columnContentTypes={["text", "numeric"]}
+          headings={["Product handle", "Mapped values"]}
+          rows={applied.map((product) => [product.handle, product.values])}
+        />
+      ) : null}
+
+      {errors.length > 0 ? (
+        <DataTable
+          columnContentTypes={["numeric", "text", "text"]}
+          headings={["Row", "Product handle", "Error"]}
+          rows={errors.map((error) => [error.row, error.handle, error.message])}
+        />
+      ) : null}
+    </BlockStack>
+  );
+}
+
+export default function MappingsPage() {
+  const { columns, exportJob } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const exportFetcher = useFetcher();
+  const revalidator = useRevalidator();
+  const isImporting = navigation.state === "submitting";
+  const isExportActive = exportJob?.isActive ?? false;
+
+  useEffect(() => {
+    if (!isExportActive) return undefined;
+    const timer = setInterval(() => {
+      if (revalidator.state === "idle") revalidator.revalidate();
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isExportActive, revalidator]);
+
+  const [dryRun, setDryRun] = useState(true);
+  const [isDownloading, setIsDownloading] = useState(false);
+  const [downloadError, setDownloadError] = useState(null);
+  const exportError = exportFetcher.data?.error ?? downloadError;
+
+  // Embedded requests need App Bridge's session token, so the file is fetched
+  // here and handed to the browser rather than linked to directly.
+  const downloadExport = async () => {
+    setIsDownloading(true);
+    setDownloadError(null);
+    try {
+      const response = await fetch(`/app/mappings/export?jobId=${encodeURIComponent(exportJob.id)}`);
+      if (!response.ok) throw new Error(`Download failed (${response.status})`);
+
+      const disposition = response.headers.get("Content-Disposition") ?? "";
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] ?? "variant-image-mappings.csv";
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setDownloadError(error.message);
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <Page
+      title="Import and export"
+      subtitle="Move variant image mappings between stores or edit them in a spreadsheet"
+      backAction={{ content: "Configured products", url: "/app/configured-products" }}
+    >
+      <TitleBar title="Import and export" />
+
+      <BlockStack gap="500">
+        <Card>
+          <BlockStack gap="300">
+            <Text as="h2" variant="headingMd">
+              Export
+            </Text>
+            <Text as="p" tone="subdued">
+              Builds a CSV with one row per assigned image for every configured product. Large
+              catalogs take a few minutes; you can leave this page while the export runs.
+            </Text>
+            {exportJob ? (
+              <InlineStack gap="200" blockAlign="center">
+                <Badge tone={EXPORT_TONES[exportJob.status]}>{exportJob.status}</Badge>
+                <Text as="p" tone="subdued">
+                  {isExportActive
+                    ? `${exportJob.processed} of ${exportJob.total} products read so far.`
+                    : `${exportJob.processed} products read.`}
+                </Text>
+              </InlineStack>
+            ) : null}
+            {exportJob?.error ? (
+              <Text as="p" tone="critical">
+                {`The export stopped: ${exportJob.error}`}
+              </Text>
+            ) : null}
+            {exportError ? (
+              <Text as="p" tone="critical">
+                {exportError}
+              </Text>
+            ) : null}
+            <InlineStack gap="200">
+              <Button
+                onClick={() => exportFetcher.submit({ intent: "export" }, { method: "post" })}
+                loading={exportFetcher.state !== "idle"}
+                disabled={isExportActive}
+              >
+                {isExportActive ? "Exporting..." : "Export CSV"}
+              </Button>
+              {exportJob?.status === "completed" ? (
+                <Button variant="primary" onClick={downloadExport} loading={isDownloading}>
+                  Download CSV
+                </Button>
+              ) : null}
+            </InlineStack>
+          </BlockStack>
+        </Card>
+
+        <Card>
+          <Form method="post" encType="multipart/form-data">
+            <input type="hidden" name="dryRun" value={String(dryRun)} />
+            <FormLayout>
+              <Text as="h2" variant="headingMd">
+                Import
+              </Text>
+              <Text as="p" tone="subdued">
+                Each product in the file has its mapping replaced by the file&apos;s rows. Images are
+                matched by image_id, or by image_filename when the ID is empty. Products with any
+                invalid row are skipped.
+              </Text>
+              <Text as="p" variant="bodySm" tone="subdued">
+                Columns: {columns.join(", ")}
+              </Text>
+              <input type="file" name="file" accept=".csv,text/csv" />
+              <Checkbox
+                label="Validate only (don't save)"
+                checked={dryRun}
+                onChange={setDryRun}
+              />
+              <Button submit variant="primary" loading={isImporting}>
+                {dryRun ? "Validate CSV" : "Import CSV"}
+              </Button>
+            </FormLayout>
+          </Form>
+        </Card>
+
+        {actionData?.error ? (
+          <Card>
+            <Text as="p" tone="critical">
+              {actionData.error}
+            </Text>
+          </Card>
+        ) : null}
+
+        {actionData && !actionData.error ? (
+          <Card>
+            <ImportResult result={actionData} />
+          </Card>
+        ) : null}
+      </BlockStack>
+    </Page>
+  );
+}
@@ -1,9 +1,10 @@
-import { useFetcher, useLoaderData } from "@remix-run/react";
+import { useFetcher, useLoaderData, useRevalidator } from "@remix-run/react";
 import { json } from "@remix-run/node";
 import { TitleBar } from "@shopify/app-bridge-react";
 import {
   Badge,
   BlockStack,
+  Button,
   Card,
   Checkbox,
   FormLayout,
@@ -11,48 +12,212 @@ import {
   Page,
   Select,
   Text,
+  TextField,
 } from "@shopify/polaris";
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { authenticate } from "../shopify.server";
 import {
   ensureMetafieldDefinitions,
   getShopSettings,
   saveShopSettings,
 } from "../models/variant-images.server";
+import {
+  getLatestRuleSettingsSync,
+  queueRuleSettingsSync,
+} from "../models/settings-rules.server";
+import {
+  ACTIVE_JOB_STATUSES,
+  PAGE_RUN_BUDGET_MS,
+  runBackgroundJobs,
+} from "../models/background-jobs.server";
+import { FALLBACK_OPTIONS } from "../utils/fallback";
+import { SETTING_LABELS, withSettingOverride } from "../utils/product-settings";
+import { RULE_MATCH_OPTIONS, RULE_SETTING_KEYS } from "../utils/settings-rules";
+
+const POLL_INTERVAL_MS = 3000;
 
 export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   await ensureMetafieldDefinitions(admin);
   const { settings } = await getShopSettings(admin);
 
-  return { settings };
+  // While rules are being applied, each load gives the run a few seconds.
+  let rulesSync = await getLatestRuleSettingsSync(session.shop);
+  if (rulesSync && ACTIVE_JOB_STATUSES.includes(rulesSync.status)) {
+    await runBackgroundJobs({ shop: session.shop, budgetMs: PAGE_RUN_BUDGET_MS });
+    rulesSync = await getLatestRuleSettingsSync(session.shop);
+  }
+
+  return {
+    settings,
+    rulesSync: rulesSync
+      ? {
+          isActive: ACTIVE_JOB_STATUSES.includes(rulesSync.status),
+          status: rulesSync.status,
+          checked: rulesSync.processed,
+          updated: rulesSync.assigned,
+          error: rulesSync.error,
+        }
+      : null,
+  };
 };
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const formData = await request.formData();
 
+  // Rules only change what the storefront reads once they're written to each
+  // matching product, so changed rules are re-applied to the catalog in the
+  // background.
+  if (formData.get("intent") === "apply-rules") {
+    const { settings } = await getShopSettings(admin);
+    await queueRuleSettingsSync(session.shop, settings.rules);
+    return json({ ok: true, intent: "apply-rules", settings });
+  }
+
   const enabled = formData.get("enabled") === "true";
   const allowSharedImages = formData.get("allowSharedImages") === "true";
   const hideUnassignedImages = formData.get("hideUnassignedImages") === "true";
+  const reorderGallery = formData.get("reorderGallery") === "true";
+  const syncFeaturedToVariants = formData.get("syncFeaturedToVariants") === "true";
+  const selectors = {
+    gallery: String(formData.get("gallerySelector") ?? ""),
+    thumbnail: String(formData.get("thumbnailSelector") ?? ""),
+    variantInput: String(formData.get("variantInputSelector") ?? ""),
+  };
+  const fallback = {
+    mode: String(formData.get("fallbackMode") ?? ""),
+    value: String(formData.get("fallbackValue") ?? ""),
+  };
+  let rules = [];
+  try {
+    rules = JSON.parse(String(formData.get("rules") || "[]"));
+  } catch {
+    rules = [];
+  }
 
-  const { shopId } = await getShopSettings(admin);
+  const { shopId, settings: previous } = await getShopSettings(admin);
   const saved = await saveShopSettings(admin, shopId, {
     enabled,
     allowSharedImages,
     hideUnassignedImages,
+    reorderGallery,
+    syncFeaturedToVariants,
+    selectors,
+    fallback,
+    rules,
   });
 
-  return json({ ok: true, settings: saved });
+  if (JSON.stringify(saved.rules) !== JSON.stringify(previous.rules)) {
+    await queueRuleSettingsSync(session.shop, saved.rules);
+  }
+
+  return json({ ok: true, intent: "save", settings: saved });
 };
 
+const RULES_SYNC_TONES = {
+  pending: "info",
+  running: "attention",
+  completed: "success",
+  failed: "critical",
+};
+
+const RULE_VALUE_LABELS = {
+  collection: "Collection handle or title",
+  tag: "Tag",
+  vendor: "Vendor",
+  productType: "Product type",
+};
+
+const KEEP_OPTION = { label: "Don't change", value: "" };
+
+function SettingsRuleCard({ index, rule, onChange, onRemove }) {
+  const setSetting = (key, value) => {
+    onChange({ ...rule, settings: withSettingOverride(rule.settings, key, value) });
+  };
+  const fallback = rule.settings.fallback ?? null;
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text as="h3" variant="headingSm">
+            {`Rule ${index + 1}`}
+          </Text>
+          <Button variant="plain" tone="critical" onClick={onRemove}>
+            Remove
+          </Button>
+        </InlineStack>
+        <FormLayout>
+          <FormLayout.Group>
+            <Select
+              label="Applies to products"
+              options={RULE_MATCH_OPTIONS}
+              value={rule.match}
+              onChange={(match) => onChange({ ...rule, match })}
+            />
+            <TextField
+              label={RULE_VALUE_LABELS[rule.match]}
+              value={rule.value}
+              onChange={(value) => onChange({ ...rule, value })}
+              autoComplete="off"
+            />
+          </FormLayout.Group>
+          {RULE_SETTING_KEYS.map((key) => (
+            <Select
+              key={key}
+              label={SETTING_LABELS[key]}
+              options={[KEEP_OPTION, { label: "Yes", value: "true" }, { label: "No", value: "false" }]}
+              value={key in rule.settings ? String(rule.settings[key]) : ""}
+              onChange={(value) => setSetting(key, value ? value === "true" : null)}
+            />
+          ))}
+          <Select
+            label="When the selected value has no images"
+            options={[KEEP_OPTION, ...FALLBACK_OPTIONS]}
+            value={fallback?.mode ?? ""}
+            onChange={(mode) => setSetting("fallback", mode ? { mode, value: "" } : null)}
+          />
+          {fallback?.mode === "inherit" ? (
+            <TextField
+              label="Value to show instead"
+              value={fallback.value}
+              onChange={(value) => setSetting("fallback", { mode: "inherit", value })}
+              helpText="Leave empty to use the first value with images."
+              autoComplete="off"
+            />
+          ) : null}
+        </FormLayout>
+      </BlockStack>
+    </Card>
+  );
+}
+
 export default function SettingsPage() {
-  const { settings: initialSettings } = useLoaderData();
+  const { settings: initialSettings, rulesSync } = useLoaderData();
   const fetcher = useFetcher();
+  const revalidator = useRevalidator();
+  const isApplyingRules = rulesSync?.isActive ?? false;
+
+  useEffect(() => {
+    if (!isApplyingRules) return undefined;
+    const timer = setInterval(() => {
+      if (revalidator.state === "idle") revalidator.revalidate();
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isApplyingRules, revalidator]);
 
   const [enabled, setEnabled] = useState(initialSettings.enabled);
   const [allowSharedImages, setAllowSharedImages] = useState(initialSettings.allowSharedImages);
   const [hideUnassignedImages, setHideUnassignedImages] = useState(initialSettings.hideUnassignedImages);
+  const [reorderGallery, setReorderGallery] = useState(initialSettings.reorderGallery);
+  const [syncFeaturedToVariants, setSyncFeaturedToVariants] = useState(
+    initialSettings.syncFeaturedToVariants,
+  );
+  const [selectors, setSelectors] = useState(initialSettings.selectors);
+  const setSelector = (key) => (value) => setSelectors((current) => ({ ...current, [key]: value }));
+  const [fallback, setFallback] = useState(initialSettings.fallback);
+  const [rules, setRules] = useState(initialSettings.rules);
 
   const isSaving = fetcher.state !== "idle";
 
@@ -70,11 +235,26 @@ export default function SettingsPage() {
               enabled: String(enabled),
               allowSharedImages: String(allowSharedImages),
               hideUnassignedImages: String(hideUnassignedImages),
+              reorderGallery: String(reorderGallery),
+              syncFeaturedToVariants: String(syncFeaturedToVariants),
+              gallerySelector: selectors.gallery,
+              thumbnailSelector: selectors.thumbnail,
+              variantInputSelector: selectors.variantInput,
+              fallbackMode: fallback.mode,
+              fallbackValue: fallback.value,
+              rules: JSON.stringify(rules),
             },
             { method: "post" },
           );
         },
       }}
+      secondaryActions={[
+        {
+          content: "Re-apply rules",
+          disabled: isSaving || isApplyingRules || initialSettings.rules.length === 0,
+          onAction: () => fetcher.submit({ intent: "apply-rules" }, { method: "post" }),
+        },
+      ]}
     >
       <TitleBar title="Settings" />
 
@@ -133,13 +313,169 @@ export default function SettingsPage() {
           </FormLayout>
         </Card>
 
+        <Card>
+          <FormLayout>
+            <Select
+              label="When the selected value has no images"
+              options={FALLBACK_OPTIONS}
+              value={fallback.mode}
+              onChange={(mode) => setFallback((current) => ({ ...current, mode }))}
+            />
+            {fallback.mode === "inherit" ? (
+              <TextField
+                label="Value to show instead"
+                value={fallback.value}
+                onChange={(value) => setFallback((current) => ({ ...current, value }))}
+                placeholder="Black"
+                helpText="Used on products that have images for this value. Leave empty to use the first value with images."
+                autoComplete="off"
+              />
+            ) : null}
+            <Text as="p" tone="subdued">
+              Default is Hide all images. Products can override this on the assign page.
+            </Text>
+          </FormLayout>
+        </Card>
+
+        <Card>
+          <FormLayout>
+            <Select
+              label="Reorder gallery to match assigned order"
+              options={[
+                { label: "No", value: "false" },
+                { label: "Yes", value: "true" },
+              ]}
+              value={String(reorderGallery)}
+              onChange={(value) => setReorderGallery(value === "true")}
+            />
+            <Text as="p" tone="subdued">
+              Default is No. If Yes, the selected value&apos;s images are moved to the front of the
+              gallery in the order set on the assign page; otherwise the theme&apos;s order is kept.
+            </Text>
+          </FormLayout>
+        </Card>
+
+        <Card>
+          <FormLayout>
+            <Select
+              label="Use featured images as variant images"
+              options={[
+                { label: "No", value: "false" },
+                { label: "Yes", value: "true" },
+              ]}
+              value={String(syncFeaturedToVariants)}
+              onChange={(value) => setSyncFeaturedToVariants(value === "true")}
+            />
+            <Text as="p" tone="subdued">
+              Default is No. If Yes, saving a product sets each variant&apos;s Shopify image to the
+              featured image of its value, so collection cards, the cart and checkout show it too.
+            </Text>
+          </FormLayout>
+        </Card>
+
+        <Card>
+          <FormLayout>
+            <Text as="h2" variant="headingMd">
+              Theme selectors
+            </Text>
+            <Text as="p" tone="subdued">
+              Leave these empty unless your theme&apos;s gallery isn&apos;t filtered. Each field takes
+              a CSS selector list that is tried before the built-in selectors for Dawn, Debut and
+              similar themes. Selectors set on the app embed in the theme editor take precedence
+              over these.
+            </Text>
+            <TextField
+              label="Gallery item selector"
+              value={selectors.gallery}
+              onChange={setSelector("gallery")}
+              autoComplete="off"
+              placeholder=".product-gallery__slide"
+              helpText="Matches each main image, video or 3D model slide."
+            />
+            <TextField
+              label="Thumbnail item selector"
+              value={selectors.thumbnail}
+              onChange={setSelector("thumbnail")}
+              autoComplete="off"
+              placeholder=".product-gallery__thumb"
+            />
+            <TextField
+              label="Variant input selector"
+              value={selectors.variantInput}
+              onChange={setSelector("variantInput")}
+              autoComplete="off"
+              placeholder={'form[action*="/cart/add"] [name="id"]'}
+              helpText="Matches the field that holds the selected variant ID."
+            />
+          </FormLayout>
+        </Card>
+
+        <Card>
+          <BlockStack gap="300">
+            <InlineStack align="space-between" blockAlign="center">
+              <Text as="h2" variant="headingMd">
+                Settings rules
+              </Text>
+              <Button
+                onClick={() =>
+                  setRules((current) => [...current, { match: "collection", value: "", settings: {} }])
+                }
+              >
+                Add rule
+              </Button>
+            </InlineStack>
+            <Text as="p" tone="subdued">
+              Change settings for products in a collection, with a tag, from a vendor or of a product
+              type. Rules apply from top to bottom, so a later rule wins over an earlier one, and a
+              product&apos;s own settings on the assign page win over both. Rules without a value
+              aren&apos;t saved. Saved rules are applied to every product in the background, and
+              product and collection changes are picked up automatically.
+            </Text>
+          </BlockStack>
+        </Card>
+
+        {rules.map((rule, index) => (
+          <SettingsRuleCard
+            key={index}
+            index={index}
+            rule={rule}
+            onChange={(next) =>
+              setRules((current) => current.map((item, itemIndex) => (itemIndex === index ? next : item)))
+            }
+            onRemove={() => setRules((current) => current.filter((_, itemIndex) => itemIndex !== index))}
+          />
+        ))}
+
         {fetcher.data?.ok ? (
           <Card>
             <Text as="p" tone="success">
-              Settings saved.
+              {fetcher.data.intent === "apply-rules" ? "Re-applying rules." : "Settings saved."}
             </Text>
           </Card>
         ) : null}
+
+        {rulesSync ? (
+          <Card>
+            <BlockStack gap="200">
+              <InlineStack gap="200" blockAlign="center">
+                <Text as="h2" variant="headingMd">
+                  Applying rules to products
+                </Text>
+                <Badge tone={RULES_SYNC_TONES[rulesSync.status]}>{rulesSync.status}</Badge>
+              </InlineStack>
+              <Text as="p" tone="subdued">
+                {isApplyingRules
+                  ? `${rulesSync.checked} products checked so far, ${rulesSync.updated} updated.`
+                  : `Checked ${rulesSync.checked} products and updated ${rulesSync.updated}.`}
+              </Text>
+              {rulesSync.error ? (
+                <Text as="p" tone="critical">
+                  {`Rules were saved but not applied to every product: ${rulesSync.error}`}
+                </Text>
+              ) : null}
+            </BlockStack>
+          </Card>
+        ) : null}
       </BlockStack>
     </Page>
   );
@@ -0,0 +1,13 @@
+import { json } from "@remix-run/node";
+import { runBackgroundJobs } from "../models/background-jobs.server";
+
+// Called by the scheduler (see vercel.json) to advance every shop's
+// background jobs. Vercel Cron sends CRON_SECRET as a bearer token.
+export const loader = async ({ request }) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || request.headers.get("Authorization") !== `Bearer ${secret}`) {
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  return json(await runBackgroundJobs());
+};
@@ -1,5 +1,8 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { deleteShopProductIndex } from "../models/product-index.server";
+import { deleteShopAutoAssignJobs } from "../models/auto-assign-jobs.server";
+import { deleteShopMappingRevisions } from "../models/mapping-history.server";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -12,5 +15,9 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  await deleteShopProductIndex(shop);
+  await deleteShopAutoAssignJobs(shop);
+  await deleteShopMappingRevisions(shop);
+
   return new Response();
 };
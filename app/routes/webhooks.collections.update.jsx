@@ -0,0 +1,28 @@
+import { authenticate } from "../shopify.server";
+import { getShopSettings } from "../models/variant-images.server";
+import { queueRuleSettingsSync } from "../models/settings-rules.server";
+import { ruleMatches } from "../utils/settings-rules";
+
+export const action = async ({ request }) => {
+  const { shop, admin, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (!admin || !payload) {
+    return new Response();
+  }
+
+  // Adding products to a collection or removing them fires this, not
+  // products/update, so rules on this collection are re-applied to the
+  // catalog. Products that left it no longer list it, hence the full run.
+  const { settings } = await getShopSettings(admin);
+  const collection = { handle: payload.handle, title: payload.title };
+  const affected = settings.rules.some(
+    (rule) => rule.match === "collection" && ruleMatches(rule, { collections: [collection] }),
+  );
+  if (affected) {
+    await queueRuleSettingsSync(shop, settings.rules);
+  }
+
+  return new Response();
+};
@@ -0,0 +1,28 @@
+import { authenticate } from "../shopify.server";
+import { getShopSettings } from "../models/variant-images.server";
+import { optionSnapshotFromPayload, refreshProductSummary } from "../models/product-index.server";
+import { syncProductRuleSettings } from "../models/settings-rules.server";
+
+export const action = async ({ request }) => {
+  const { shop, admin, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  if (!admin || !payload?.admin_graphql_api_id) {
+    return new Response();
+  }
+
+  // New products have no map yet, but belong in the index's lists and counts,
+  // and their option snapshot lets the first products/update spot renames.
+  const productId = payload.admin_graphql_api_id;
+  await refreshProductSummary(admin, shop, productId, {
+    optionSnapshot: optionSnapshotFromPayload(payload),
+  });
+
+  const { settings } = await getShopSettings(admin);
+  if (settings.rules.length > 0) {
+    await syncProductRuleSettings(admin, productId, settings.rules);
+  }
+
+  return new Response();
+};
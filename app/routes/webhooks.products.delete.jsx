@@ -0,0 +1,19 @@
+import { authenticate } from "../shopify.server";
+import { deleteProductSummary } from "../models/product-index.server";
+import { deleteProductMappingRevisions } from "../models/mapping-history.server";
+
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The image_map metafield goes away with the product; only local state
+  // (summary, option snapshot and history) needs cleaning up.
+  if (payload?.id) {
+    const productId = `gid://shopify/Product/${payload.id}`;
+    await deleteProductSummary(shop, productId);
+    await deleteProductMappingRevisions(shop, productId);
+  }
+
+  return new Response();
+};
@@ -0,0 +1,48 @@
+import { authenticate } from "../shopify.server";
+import {
+  getShopSettings,
+  inferOptionRenames,
+  pruneProductMapping,
+} from "../models/variant-images.server";
+import {
+  getOptionSnapshot,
+  optionSnapshotFromPayload,
+  refreshProductSummary,
+} from "../models/product-index.server";
+import { recordMappingRevision } from "../models/mapping-history.server";
+import { syncProductRuleSettings } from "../models/settings-rules.server";
+
+export const action = async ({ request }) => {
+  const { shop, admin, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Without a session (app uninstalled) there is nothing to keep in sync.
+  if (!admin || !payload?.admin_graphql_api_id) {
+    return new Response();
+  }
+
+  const productId = payload.admin_graphql_api_id;
+  const optionSnapshot = optionSnapshotFromPayload(payload);
+  const optionRenames = inferOptionRenames(await getOptionSnapshot(shop, productId), optionSnapshot);
+
+  // Drop deleted images, removed variants and option values, and carry
+  // renamed values over, before the summary is re-read.
+  const pruned = await pruneProductMapping(admin, productId, { optionRenames });
+  if (pruned.changed) {
+    await recordMappingRevision(shop, productId, {
+      before: pruned.previous,
+      after: pruned.mapping,
+      source: "prune",
+    });
+  }
+  await refreshProductSummary(admin, shop, productId, { optionSnapshot });
+
+  // Tags, vendor or product type may have changed which settings rules apply.
+  const { settings } = await getShopSettings(admin);
+  if (settings.rules.length > 0) {
+    await syncProductRuleSettings(admin, productId, settings.rules);
+  }
+
+  return new Response();
+};
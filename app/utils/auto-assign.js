@@ -0,0 +1,151 @@
+// Proposes image assignments by matching option values against each image's
+// alt text and filename, e.g. "shirt-red-front.jpg" or alt "Red" → "Red".
+
+// Each group lists spellings that should match each other.
+const DEFAULT_SYNONYMS = [
+  ["grey", "gray"],
+  ["black", "blk"],
+  ["white", "wht"],
+  ["multicolor", "multicolour", "multi"],
+  ["navy", "navy blue"],
+  ["off white", "offwhite", "ivory"],
+];
+
+// Letters and digits of any script, with Latin accents dropped so "Crème"
+// matches "creme". Other combining marks stay part of their word, e.g. the
+// voiced marks of kana or Devanagari vowel signs.
+function tokenize(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function decodeUrlPart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    return part;
+  }
+}
+
+// "https://cdn.shopify.com/.../shirt-red-front_800x.jpg?v=1" → "shirt-red-front"
+// CDN URLs percent-encode non-ASCII file names, which are decoded.
+function imageFilename(url) {
+  if (!url) return "";
+  const name = decodeUrlPart(String(url).split("?")[0].split("/").pop() || "");
+  return name
+    .replace(/\.[^.]+$/, "")
+    .replace(/_\d*x\d*$/, "")
+    .replace(/_[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, "");
+}
+
+function containsPhrase(tokens, phrase) {
+  if (phrase.length === 0 || phrase.length > tokens.length) return false;
+  for (let start = 0; start <= tokens.length - phrase.length; start += 1) {
+    if (phrase.every((token, offset) => tokens[start + offset] === token)) return true;
+  }
+  return false;
+}
+
+function buildSynonymLookup(synonyms) {
+  const lookup = new Map();
+  for (const group of synonyms) {
+    const phrases = group.map(tokenize).filter((phrase) => phrase.length > 0);
+    for (const phrase of phrases) {
+      lookup.set(phrase.join(" "), phrases);
+    }
+  }
+  return lookup;
+}
+
+// Returns the length (in tokens) of the longest spelling of `term` found in
+// `tokens`, or 0 when it doesn't appear.
+function matchTerm(tokens, term, synonymLookup) {
+  const phrase = tokenize(term);
+  if (phrase.length === 0) return 0;
+
+  const spellings = synonymLookup.get(phrase.join(" ")) ?? [phrase];
+  return spellings.reduce((best, spelling) => {
+    return containsPhrase(tokens, spelling) ? Math.max(best, spelling.length) : best;
+  }, 0);
+}
+
+/**
+ * targets: [{ key, terms: ["Red"] }] — every term must match for an image to
+ *   count (combination keys pass one term per non-wildcard value).
+ * images: [{ id, url, altText }]
+ *
+ * Each image goes to the target(s) with the longest match, so "Navy Blue"
+ * beats "Blue" for "navy-blue-side.jpg". With `exclusive`, images that tie
+ * between targets are left out rather than guessed.
+ *
+ * Returns { [key]: [imageId, ...] } for targets with at least one match,
+ * images in gallery order.
+ */
+function proposeAutoAssignment(
+  targets,
+  images,
+  { synonyms = DEFAULT_SYNONYMS, exclusive = false, toImageId = (image) => image.id } = {},
+) {
+  const synonymLookup = buildSynonymLookup(synonyms);
+  const proposal = {};
+
+  for (const image of images) {
+    const tokens = [...tokenize(image.altText), ...tokenize(imageFilename(image.url))];
+    if (tokens.length === 0) continue;
+
+    let bestScore = 0;
+    let bestKeys = [];
+    for (const target of targets) {
+      if (!target.terms.length) continue;
+
+      let score = 0;
+      for (const term of target.terms) {
+        const length = matchTerm(tokens, term, synonymLookup);
+        if (length === 0) {
+          score = 0;
+          break;
+        }
+        score += length;
+      }
+
+      if (score === 0 || score < bestScore) continue;
+      if (score > bestScore) {
+        bestScore = score;
+        bestKeys = [];
+      }
+      bestKeys.push(target.key);
+    }
+
+    if (bestKeys.length === 0) continue;
+    if (exclusive && bestKeys.length > 1) continue;
+
+    for (const key of bestKeys) {
+      (proposal[key] ??= []).push(toImageId(image));
+    }
+  }
+
+  return proposal;
+}
+
+// Per-key differences between the current map and a proposal.
+function diffMappings(current, proposed, keys) {
+  return keys
+    .map((key) => {
+      const before = current[key] ?? [];
+      const after = proposed[key] ?? [];
+      return {
+        key,
+        before,
+        after,
+        added: after.filter((id) => !before.includes(id)),
+        removed: before.filter((id) => !after.includes(id)),
+      };
+    })
+    .filter((entry) => entry.added.length > 0 || entry.removed.length > 0);
+}
+
+export { DEFAULT_SYNONYMS, tokenize, imageFilename, proposeAutoAssignment, diffMappings };
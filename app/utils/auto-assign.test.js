@@ -0,0 +1,41 @@
+import { describe, expect, it } from "vitest";
+import { imageFilename, proposeAutoAssignment, tokenize } from "./auto-assign";
+
+describe("tokenize", () => {
+  it("keeps words in any script and drops Latin accents", () => {
+    expect(tokenize("Crème Brûlée")).toEqual(["creme", "brulee"]);
+    expect(tokenize("红色 / 藍色")).toEqual(["红色", "藍色"]);
+  });
+
+  it("keeps the voiced marks of kana in their word", () => {
+    expect(tokenize("ブルー 正面")).toHaveLength(2);
+    expect(tokenize("ブルー")).not.toEqual(tokenize("フルー"));
+  });
+});
+
+describe("imageFilename", () => {
+  it("decodes percent-encoded file names", () => {
+    expect(imageFilename("https://cdn.example/files/%E7%BA%A2%E8%89%B2_800x.jpg?v=1")).toBe("红色");
+  });
+});
+
+describe("proposeAutoAssignment", () => {
+  it("matches accented and CJK option values", () => {
+    const targets = [
+      { key: "Crème", terms: ["Crème"] },
+      { key: "红色", terms: ["红色"] },
+      { key: "藍色", terms: ["藍色"] },
+    ];
+    const images = [
+      { id: "1", url: "https://cdn.example/files/dress-creme.jpg", altText: null },
+      { id: "2", url: "https://cdn.example/files/dress-%E7%BA%A2%E8%89%B2.jpg", altText: null },
+      { id: "3", url: "https://cdn.example/files/dress-3.jpg", altText: "藍色 正面" },
+    ];
+
+    expect(proposeAutoAssignment(targets, images)).toEqual({
+      Crème: ["1"],
+      红色: ["2"],
+      藍色: ["3"],
+    });
+  });
+});
@@ -0,0 +1,58 @@
+// Combination keys join one value per mapped option, in `optionNames` order,
+// the same way Shopify builds variant titles ("Red / Leather"). "*" in a key
+// matches any value.
+//
+// Values that would make a key ambiguous are escaped with a backslash: a "/"
+// at the start of a value or after a space ("Black \/ White"), a value that
+// is just "*" ("\*"), and backslashes themselves. Other values, including
+// "S/M", are stored as they are, so keys saved before escaping still parse.
+const COMBINATION_SEPARATOR = " / ";
+const WILDCARD_TOKEN = "*";
+
+// Parsed keys hold COMBINATION_WILDCARD where the stored key has "*", so an
+// option value that is literally "*" stays distinct from "any value". Values
+// are trimmed, as Shopify trims option values.
+const COMBINATION_WILDCARD = null;
+
+function escapeValue(value) {
+  if (value === COMBINATION_WILDCARD) return WILDCARD_TOKEN;
+  const text = String(value);
+  if (text === WILDCARD_TOKEN) return `\\${WILDCARD_TOKEN}`;
+  return text.replace(/\\/g, "\\\\").replace(/(^| )\//g, "$1\\/");
+}
+
+function toCombinationKey(values) {
+  return values.map(escapeValue).join(COMBINATION_SEPARATOR);
+}
+
+function parseCombinationKey(key) {
+  const text = String(key);
+  const values = [];
+  let value = "";
+  let escaped = false;
+
+  const push = () => {
+    const trimmed = value.trim();
+    values.push(!escaped && trimmed === WILDCARD_TOKEN ? COMBINATION_WILDCARD : trimmed);
+    value = "";
+    escaped = false;
+  };
+
+  for (let index = 0; index < text.length; index += 1) {
+    if (text[index] === "\\" && index + 1 < text.length) {
+      value += text[index + 1];
+      escaped = true;
+      index += 1;
+    } else if (text.startsWith(COMBINATION_SEPARATOR, index)) {
+      push();
+      index += COMBINATION_SEPARATOR.length - 1;
+    } else {
+      value += text[index];
+    }
+  }
+  push();
+
+  return values;
+}
+
+export { COMBINATION_SEPARATOR, COMBINATION_WILDCARD, toCombinationKey, parseCombinationKey };
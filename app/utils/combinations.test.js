@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { COMBINATION_WILDCARD, parseCombinationKey, toCombinationKey } from "./combinations";
+
+describe("combination keys", () => {
+  it("round-trips plain values and wildcards", () => {
+    const key = toCombinationKey(["Red", COMBINATION_WILDCARD]);
+    expect(key).toBe("Red / *");
+    expect(parseCombinationKey(key)).toEqual(["Red", COMBINATION_WILDCARD]);
+  });
+
+  it("escapes values that contain the separator", () => {
+    const key = toCombinationKey(["Black / White", "Leather"]);
+    expect(key).toBe("Black \\/ White / Leather");
+    expect(parseCombinationKey(key)).toEqual(["Black / White", "Leather"]);
+  });
+
+  it("keeps a literal * value apart from the wildcard", () => {
+    const key = toCombinationKey(["*", COMBINATION_WILDCARD]);
+    expect(key).toBe("\\* / *");
+    expect(parseCombinationKey(key)).toEqual(["*", COMBINATION_WILDCARD]);
+  });
+
+  it("round-trips slashes and backslashes at value edges", () => {
+    const values = ["/ Front", "Back /", "S/M", "C:\\ drive"];
+    expect(parseCombinationKey(toCombinationKey(values))).toEqual(values);
+  });
+
+  it("leaves keys saved before escaping unchanged", () => {
+    expect(toCombinationKey(parseCombinationKey("S/M / Red"))).toBe("S/M / Red");
+  });
+});
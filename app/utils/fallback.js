@@ -0,0 +1,13 @@
+// What the storefront shows when the selected value has no images assigned.
+// Shared by the settings and assign pages and the settings model.
+const FALLBACK_OPTIONS = [
+  { label: "Hide all images", value: "none" },
+  { label: "Show all images", value: "all" },
+  { label: "Show only unassigned images", value: "unassigned" },
+  { label: "Show the product's featured image", value: "featured" },
+  { label: "Show another value's images", value: "inherit" },
+];
+
+const FALLBACK_MODES = FALLBACK_OPTIONS.map((option) => option.value);
+
+export { FALLBACK_OPTIONS, FALLBACK_MODES };
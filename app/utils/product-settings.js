@@ -0,0 +1,34 @@
+// Shop settings a product can override. Overrides are saved in the product
+// map's `settings`, next to `fallback`, and win over the shop's values.
+const PRODUCT_SETTING_KEYS = [
+  "allowSharedImages",
+  "hideUnassignedImages",
+  "reorderGallery",
+  "syncFeaturedToVariants",
+];
+
+const SETTING_LABELS = {
+  enabled: "Enable variant images on storefront",
+  allowSharedImages: "Allow assigning the same image to multiple values",
+  hideUnassignedImages: "Hide unassigned images on storefront",
+  reorderGallery: "Reorder gallery to match assigned order",
+  syncFeaturedToVariants: "Use featured images as variant images",
+};
+
+// Later overrides win: shop settings, then settings rules, then the product.
+function mergeProductSettings(shopSettings, ...overrides) {
+  return Object.assign({}, shopSettings, ...overrides.map((override) => override ?? {}));
+}
+
+// Sets one override; null removes it so the inherited value applies again.
+function withSettingOverride(settings, key, value) {
+  const next = { ...settings };
+  if (value == null) {
+    delete next[key];
+  } else {
+    next[key] = value;
+  }
+  return next;
+}
+
+export { PRODUCT_SETTING_KEYS, SETTING_LABELS, mergeProductSettings, withSettingOverride };
@@ -0,0 +1,52 @@
+import { PRODUCT_SETTING_KEYS } from "./product-settings";
+
+// Settings rules apply settings to every product that matches them:
+// { match: "tag", value: "lifestyle-shared", settings: { hideUnassignedImages: false } }
+// Rules apply top to bottom, so a later match overrides an earlier one.
+const RULE_MATCH_OPTIONS = [
+  { label: "In collection", value: "collection" },
+  { label: "Tagged", value: "tag" },
+  { label: "From vendor", value: "vendor" },
+  { label: "Of product type", value: "productType" },
+];
+
+const RULE_MATCHES = RULE_MATCH_OPTIONS.map((option) => option.value);
+
+// Unlike product overrides, rules can also turn the filter on or off.
+const RULE_SETTING_KEYS = ["enabled", ...PRODUCT_SETTING_KEYS];
+
+function normalizeTerm(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+// product: { tags: [], vendor, productType, collections: [{ handle, title }] }.
+// Collections match by handle or title; all values ignore case.
+function ruleMatches(rule, product) {
+  const value = normalizeTerm(rule.value);
+  if (!value) return false;
+
+  switch (rule.match) {
+    case "collection":
+      return (product.collections ?? []).some(
+        (collection) => normalizeTerm(collection.handle) === value || normalizeTerm(collection.title) === value,
+      );
+    case "tag":
+      return (product.tags ?? []).some((tag) => normalizeTerm(tag) === value);
+    case "vendor":
+      return normalizeTerm(product.vendor) === value;
+    case "productType":
+      return normalizeTerm(product.productType) === value;
+    default:
+      return false;
+  }
+}
+
+// The settings every matching rule sets, or {} when none match.
+function resolveRuleSettings(rules, product) {
+  return Object.assign(
+    {},
+    ...(rules ?? []).filter((rule) => ruleMatches(rule, product)).map((rule) => rule.settings),
+  );
+}
+
+export { RULE_MATCH_OPTIONS, RULE_MATCHES, RULE_SETTING_KEYS, ruleMatches, resolveRuleSettings };
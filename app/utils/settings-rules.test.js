@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { resolveRuleSettings, ruleMatches } from "./settings-rules";
+
+const product = {
+  tags: ["Lifestyle-Shared", "summer"],
+  vendor: "Acme Apparel",
+  productType: "Shirts",
+  collections: [{ handle: "footwear", title: "Shoes & Boots" }],
+};
+
+describe("ruleMatches", () => {
+  it("matches tags, vendor, product type and collections ignoring case", () => {
+    expect(ruleMatches({ match: "tag", value: "lifestyle-shared" }, product)).toBe(true);
+    expect(ruleMatches({ match: "vendor", value: " acme apparel " }, product)).toBe(true);
+    expect(ruleMatches({ match: "productType", value: "SHIRTS" }, product)).toBe(true);
+    expect(ruleMatches({ match: "collection", value: "footwear" }, product)).toBe(true);
+    expect(ruleMatches({ match: "collection", value: "shoes & boots" }, product)).toBe(true);
+  });
+
+  it("doesn't match other values, empty values or unknown match types", () => {
+    expect(ruleMatches({ match: "tag", value: "winter" }, product)).toBe(false);
+    expect(ruleMatches({ match: "tag", value: "  " }, product)).toBe(false);
+    expect(ruleMatches({ match: "collection", value: "sale" }, { tags: [] })).toBe(false);
+    expect(ruleMatches({ match: "sku", value: "shirts" }, product)).toBe(false);
+  });
+});
+
+describe("resolveRuleSettings", () => {
+  it("applies matching rules top to bottom", () => {
+    const rules = [
+      { match: "tag", value: "summer", settings: { hideUnassignedImages: true, enabled: true } },
+      { match: "vendor", value: "Other", settings: { enabled: false } },
+      { match: "collection", value: "footwear", settings: { hideUnassignedImages: false } },
+    ];
+
+    expect(resolveRuleSettings(rules, product)).toEqual({
+      hideUnassignedImages: false,
+      enabled: true,
+    });
+    expect(resolveRuleSettings([], product)).toEqual({});
+  });
+});
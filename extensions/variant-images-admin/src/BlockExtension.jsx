@@ -21,6 +21,8 @@ import {
 const TARGET = "admin.product-details.block.render";
 const METAFIELD_NAMESPACE = "variant_images";
 const METAFIELD_KEY = "image_map";
+const SETTINGS_METAFIELD_KEY = "settings";
+const RULE_SETTINGS_METAFIELD_KEY = "rule_settings";
 
 // Strip "gid://shopify/X/" prefix → numeric string
 function toNumericId(gid) {
@@ -28,6 +30,87 @@ function toNumericId(gid) {
   return String(gid).split("/").pop();
 }
 
+// Read the stored image_map metafield into an editable shape.
+// Returns null for anything this block can't edit safely (combination maps,
+// unknown modes, invalid JSON) so it never overwrites them.
+//   { mode: "option", optionName, mapping: { value: [imgNumId] }, base }
+//   { mode: "variant", mapping: { variantNumId: [imgNumId] }, base }
+// `base` keeps any other stored fields so saving round-trips them.
+function parseStoredMapping(rawValue, options) {
+  const defaultOptionName = options[0]?.name ?? null;
+  if (!rawValue) {
+    return { mode: "option", optionName: defaultOptionName, mapping: {}, base: {} };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(rawValue);
+  } catch {
+    return null;
+  }
+
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return null;
+
+  const isTable = (value) =>
+    value &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.values(value).every(Array.isArray);
+
+  if (parsed.mode === "option") {
+    const mapping = parsed.mapping ?? {};
+    if (!isTable(mapping)) return null;
+    const optionName = options.some((option) => option.name === parsed.optionName)
+      ? parsed.optionName
+      : defaultOptionName;
+    return { mode: "option", optionName, mapping, base: parsed };
+  }
+
+  if (parsed.mode === "variant") {
+    const mapping = parsed.mapping ?? {};
+    if (!isTable(mapping)) return null;
+    return { mode: "variant", optionName: null, mapping, base: parsed };
+  }
+
+  // Legacy map without a mode: { "variantNumId": ["imgNumId"] }
+  if (parsed.mode === undefined && isTable(parsed)) {
+    return { mode: "variant", optionName: null, mapping: parsed, base: {} };
+  }
+
+  return null;
+}
+
+// Whether images may be shared between values: the shop setting, then any
+// matching settings rules, then the product's own setting. Each is JSON.
+function allowsSharedImages(rawShopSettings, rawRuleSettings, productSettings) {
+  const parse = (rawValue) => {
+    try {
+      return JSON.parse(rawValue ?? "{}") ?? {};
+    } catch {
+      return {};
+    }
+  };
+
+  return [parse(rawShopSettings), parse(rawRuleSettings), productSettings ?? {}].reduce(
+    (allowed, settings) =>
+      typeof settings.allowSharedImages === "boolean" ? settings.allowSharedImages : allowed,
+    true
+  );
+}
+
+// Image IDs assigned to more than one key.
+function sharedImageIds(mapping) {
+  const seen = new Set();
+  const shared = new Set();
+  for (const imageIds of Object.values(mapping)) {
+    for (const imageId of imageIds) {
+      if (seen.has(imageId)) shared.add(imageId);
+      seen.add(imageId);
+    }
+  }
+  return [...shared];
+}
+
 // Append Shopify CDN thumbnail params so images display at a small consistent size
 function thumbUrl(url) {
   if (!url) return url;
@@ -41,6 +124,11 @@ const PRODUCT_QUERY = `#graphql
   query GetProductForVariantImages($id: ID!) {
     product(id: $id) {
       id
+      options {
+        id
+        name
+        values
+      }
       variants(first: 100) {
         edges {
           node {
@@ -62,6 +150,14 @@ const PRODUCT_QUERY = `#graphql
         id
         value
       }
+      ruleSettings: metafield(namespace: "${METAFIELD_NAMESPACE}", key: "${RULE_SETTINGS_METAFIELD_KEY}") {
+        value
+      }
+    }
+    shop {
+      metafield(namespace: "${METAFIELD_NAMESPACE}", key: "${SETTINGS_METAFIELD_KEY}") {
+        value
+      }
     }
   }
 `;
@@ -85,11 +181,19 @@ function VariantImagesBlock() {
   const { data, adminApiClient, i18n } = useApi(TARGET);
   const productGid = data?.product?.id;
 
+  const [options, setOptions] = useState([]);
   const [variants, setVariants] = useState([]);
   const [images, setImages] = useState([]);
-  // mapping: { "variantNumId": ["imgNumId", ...], ... }
+  // stored: parsed metafield (see parseStoredMapping), or null when the
+  // stored format isn't editable here.
+  const [stored, setStored] = useState(null);
+  const [mode, setMode] = useState("option");
+  const [optionName, setOptionName] = useState(null);
+  // mapping: { "optionValue" | "variantNumId": ["imgNumId", ...], ... }
   const [mapping, setMapping] = useState({});
-  const [selectedVariantNumId, setSelectedVariantNumId] = useState(null);
+  const [selectedKey, setSelectedKey] = useState(null);
+  // Without shared images each image belongs to one key, as the app enforces.
+  const [exclusive, setExclusive] = useState(false);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [banner, setBanner] = useState(null); // { tone, title }
@@ -112,17 +216,36 @@ function VariantImagesBlock() {
         const product = gqlData?.product;
         if (!product) throw new Error("Product not found");
 
+        const loadedOptions = product.options ?? [];
         const loadedVariants = product.variants.edges.map((e) => e.node);
         const loadedImages = product.images.edges.map((e) => e.node);
-        const existingMapping = product.metafield?.value
-          ? JSON.parse(product.metafield.value)
-          : {};
+        const parsed = parseStoredMapping(product.metafield?.value, loadedOptions);
 
+        setOptions(loadedOptions);
         setVariants(loadedVariants);
         setImages(loadedImages);
-        setMapping(existingMapping);
-        if (loadedVariants.length > 0) {
-          setSelectedVariantNumId(toNumericId(loadedVariants[0].id));
+        setStored(parsed);
+        setExclusive(
+          !allowsSharedImages(
+            gqlData.shop?.metafield?.value,
+            product.ruleSettings?.value,
+            parsed?.base.settings
+          )
+        );
+
+        if (!parsed) {
+          setBanner({ tone: "warning", title: i18n.translate("unsupported_format") });
+          return;
+        }
+
+        setMode(parsed.mode);
+        setOptionName(parsed.optionName);
+        setMapping(parsed.mapping);
+        if (parsed.mode === "variant") {
+          setSelectedKey(loadedVariants[0] ? toNumericId(loadedVariants[0].id) : null);
+        } else {
+          const option = loadedOptions.find((o) => o.name === parsed.optionName);
+          setSelectedKey(option?.values[0] ?? null);
         }
       } catch (err) {
         setBanner({ tone: "critical", title: i18n.translate("load_error") });
@@ -134,28 +257,45 @@ function VariantImagesBlock() {
     load();
   }, [productGid, adminApiClient]);
 
-  // ── Toggle an image for the selected variant ──────────────────────────────
+  // ── Toggle an image for the selected value / variant ─────────────────────
   const toggleImage = useCallback(
     (imgNumId) => {
-      if (!selectedVariantNumId) return;
+      if (!selectedKey) return;
       setBanner(null);
       setMapping((prev) => {
-        const current = prev[selectedVariantNumId] ?? [];
-        const updated = current.includes(imgNumId)
-          ? current.filter((id) => id !== imgNumId)
-          : [...current, imgNumId];
-        const next = { ...prev, [selectedVariantNumId]: updated };
-        if (next[selectedVariantNumId].length === 0) {
-          delete next[selectedVariantNumId];
+        const current = prev[selectedKey] ?? [];
+        const adding = !current.includes(imgNumId);
+        const updated = adding
+          ? [...current, imgNumId]
+          : current.filter((id) => id !== imgNumId);
+        const next = { ...prev, [selectedKey]: updated };
+        // An exclusive image moves here from whichever key had it.
+        if (exclusive && adding) {
+          for (const key of Object.keys(next)) {
+            if (key === selectedKey) continue;
+            next[key] = next[key].filter((id) => id !== imgNumId);
+          }
+        }
+        for (const key of Object.keys(next)) {
+          if (next[key].length === 0) delete next[key];
         }
         return next;
       });
     },
-    [selectedVariantNumId]
+    [selectedKey, exclusive]
   );
 
+  // ── Switch the option being mapped (clears assignments, like the app) ─────
+  const changeOptionName = (name) => {
+    setOptionName(name);
+    setMapping({});
+    setSelectedKey(options.find((o) => o.name === name)?.values[0] ?? null);
+    setBanner(null);
+  };
+
   // ── Save mapping as product metafield ─────────────────────────────────────
   const saveMapping = async () => {
+    if (!stored) return;
     setSaving(true);
     setBanner(null);
     try {
@@ -168,7 +308,11 @@ function VariantImagesBlock() {
                 ownerId: productGid,
                 namespace: METAFIELD_NAMESPACE,
                 key: METAFIELD_KEY,
-                value: JSON.stringify(mapping),
+                value: JSON.stringify(
+                  mode === "variant"
+                    ? { ...stored.base, mode, mapping }
+                    : { ...stored.base, mode, optionName, mapping }
+                ),
                 type: "json",
               },
             ],
@@ -194,15 +338,18 @@ function VariantImagesBlock() {
   };
 
   // ── Derived state ──────────────────────────────────────────────────────────
-  const selectedImages = selectedVariantNumId
-    ? (mapping[selectedVariantNumId] ?? [])
-    : [];
-
-  // Build Select options from variants list
-  const variantOptions = variants.map((v) => ({
-    label: v.title,
-    value: toNumericId(v.id),
-  }));
+  const selectedImages = selectedKey ? (mapping[selectedKey] ?? []) : [];
+
+  // Build Select options for the current mode: option values or variants
+  const selectedOption = options.find((o) => o.name === optionName);
+  const keyOptions =
+    mode === "variant"
+      ? variants.map((v) => ({ label: v.title, value: toNumericId(v.id) }))
+      : (selectedOption?.values ?? []).map((value) => ({ label: value, value }));
+  const canEdit = Boolean(stored) && keyOptions.length > 0;
+  // Maps saved elsewhere may already share images; they can't be saved
+  // until each image is left on one key.
+  const conflictCount = exclusive ? sharedImageIds(mapping).length : 0;
 
   // ── Loading state ──────────────────────────────────────────────────────────
   if (loading) {
@@ -229,20 +376,34 @@ function VariantImagesBlock() {
           />
         )}
 
-        {/* Step 1 — Variant picker */}
+        {/* Step 1 — Option value (or variant) picker */}
         <BlockStack gap="small">
-          <Heading size={4}>{i18n.translate("variants_heading")}</Heading>
+          <Heading size={4}>
+            {i18n.translate(
+              mode === "variant" ? "variants_heading" : "values_heading"
+            )}
+          </Heading>
 
-          {variants.length === 0 ? (
+          {!stored ? null : keyOptions.length === 0 ? (
             <Text>{i18n.translate("no_variants")}</Text>
           ) : (
             <BlockStack gap="small">
+              {mode === "option" && (
+                <Select
+                  label={i18n.translate("select_option_label")}
+                  options={options.map((o) => ({ label: o.name, value: o.name }))}
+                  value={optionName ?? ""}
+                  onChange={changeOptionName}
+                />
+              )}
               <Select
-                label={i18n.translate("select_variant_label")}
-                options={variantOptions}
-                value={selectedVariantNumId ?? ""}
+                label={i18n.translate(
+                  mode === "variant" ? "select_variant_label" : "select_value_label"
+                )}
+                options={keyOptions}
+                value={selectedKey ?? ""}
                 onChange={(val) => {
-                  setSelectedVariantNumId(val);
+                  setSelectedKey(val);
                   setBanner(null);
                 }}
               />
@@ -266,7 +427,7 @@ function VariantImagesBlock() {
             <Text>{i18n.translate("images_hint")}</Text>
           </InlineStack>
 
-          {images.length === 0 ? (
+          {!canEdit ? null : images.length === 0 ? (
             <Text>{i18n.translate("no_images")}</Text>
           ) : (
             <InlineStack gap="small">
@@ -301,12 +462,19 @@ function VariantImagesBlock() {
 
         <Divider />
 
+        {conflictCount > 0 && (
+          <Banner
+            tone="warning"
+            title={i18n.translate("shared_images_conflict", { count: conflictCount })}
+          />
+        )}
+
         {/* Save */}
         <InlineStack inlineAlignment="end">
           <Button
             variant="primary"
             onPress={saveMapping}
-            disabled={saving || variants.length === 0}
+            disabled={saving || !canEdit || conflictCount > 0}
           >
             {saving
               ? i18n.translate("saving")
@@ -1,11 +1,19 @@
 /**
  * Variant Images Filter – Storefront Script
  * ─────────────────────────────────────────────────────────────────────────────
- * Reads the variant→image mapping from the embedded JSON block, then shows
+ * Reads the variant→image mapping from the embedded JSON blocks, then shows
  * only the gallery items that are mapped to the selected variant.
  *
+ * Every product on the page (main product, featured product sections, quick
+ * views) has its own data block and gets its own filter, scoped to the
+ * section that holds it.
+ *
  * Compatible with: Dawn, Craft, Sense, Refresh, Taste, Debut, and most
- * themes that use standard Shopify image markup.
+ * themes that use standard Shopify image markup. Other themes can supply
+ * their own selectors through the app embed or the shop settings.
+ *
+ * Exposes window.VariantLens and "variantlens:*" events for custom
+ * galleries (see README, Storefront JavaScript API).
  */
 (function () {
   "use strict";
@@ -13,71 +21,97 @@
   if (window.__variantImagesFilterInitialized) return;
   window.__variantImagesFilterInitialized = true;
 
-  // ── Read embedded data ──────────────────────────────────────────────────────
-  const dataEl = document.getElementById("variant-image-data");
-  if (!dataEl) return;
-
-  let config;
-  try {
-    config = JSON.parse(dataEl.textContent);
-  } catch {
-    return;
-  }
-
-  let {
-    mapping,
-    imageUrls,
-    initialVariantId,
-    settings,
-    optionNames,
-    variantOptions,
-  } = config;
-  if (!mapping || !imageUrls) return;
-  if (typeof mapping === "string") {
-    try {
-      mapping = JSON.parse(mapping);
-    } catch {
-      return;
-    }
-  }
-  if (typeof settings === "string") {
-    try {
-      settings = JSON.parse(settings);
-    } catch {
-      settings = null;
+  // ── Combination keys ("Red / *") ───────────────────────────────────────────
+  // One value per mapped option joined by " / "; "*" matches any value.
+  // Keys with fewer wildcards are more specific and win. Values that would be
+  // ambiguous are backslash-escaped ("Black \/ White", "\*"); parsed keys
+  // hold null for the wildcard. Same format as app/utils/combinations.js.
+  const COMBINATION_SEPARATOR = " / ";
+  const COMBINATION_WILDCARD = null;
+
+  function parseCombinationKey(key) {
+    const text = String(key);
+    const values = [];
+    let value = "";
+    let escaped = false;
+
+    const push = () => {
+      const trimmed = value.trim();
+      values.push(!escaped && trimmed === "*" ? COMBINATION_WILDCARD : trimmed);
+      value = "";
+      escaped = false;
+    };
+
+    for (let index = 0; index < text.length; index += 1) {
+      if (text[index] === "\\" && index + 1 < text.length) {
+        value += text[index + 1];
+        escaped = true;
+        index += 1;
+      } else if (text.startsWith(COMBINATION_SEPARATOR, index)) {
+        push();
+        index += COMBINATION_SEPARATOR.length - 1;
+      } else {
+        value += text[index];
+      }
     }
+    push();
+
+    return values;
   }
-  const normalizedSettings = {
-    enabled: settings?.enabled ?? true,
-    hideUnassignedImages: settings?.hideUnassignedImages ?? false,
-  };
-  if (!normalizedSettings.enabled) return;
 
-  let mappingMode = "variant";
-  let mappedOptionName = null;
-  let mappingTable = mapping;
-  if (mapping && typeof mapping === "object" && mapping.mode === "option") {
-    mappingMode = "option";
-    mappedOptionName = mapping.optionName || null;
-    mappingTable = mapping.mapping || {};
+  // ── Gallery item → imgNumId lookup ───────────────────────────────────────
+  // Items are matched by media ID first (data-media-id, media GIDs), which
+  // survives lazy loading and URL rewriting and is the only way to match
+  // videos and 3D models. The CDN filename is only a fallback for themes
+  // that don't expose media IDs.
+
+  // data-target: Dawn-style thumbnails point at their media this way.
+  const MEDIA_ID_ATTRIBUTES = ["data-media-id", "data-image-id", "data-target"];
+  const MEDIA_ID_SELECTOR = MEDIA_ID_ATTRIBUTES.map((attr) => `[${attr}]`).join(",");
+
+  // "template--123__main-29847284" / "29847284" / "gid://shopify/MediaImage/29847284"
+  function idFromAttribute(value) {
+    if (!value) return null;
+    const match = String(value).match(/(\d+)\s*$/);
+    return match ? match[1] : null;
   }
-  if (!mappingTable || typeof mappingTable !== "object") return;
 
-  // ── Build filename → imgNumId lookup ─────────────────────────────────────
-  // Shopify CDN URLs end in the original filename, sometimes with a size
-  // suffix like _800x.jpg. Strip that to get a stable match key.
+  // Shopify CDN URLs end in the original filename, sometimes with a size or
+  // crop suffix like _800x.jpg, _800x600_crop_center.jpg or _800x@2x.jpg.
+  // Strip those to get a stable match key.
   function baseFilename(url) {
     if (!url) return "";
-    const path = url.split("?")[0];
-    const name = path.split("/").pop() || "";
-    // Remove Shopify size suffix: _800x.jpg / _800x600.jpg / _x600.jpg
-    return name.replace(/_\d*x\d*\.([^.]+)$/, ".$1");
+    const path = String(url).split("?")[0].split("#")[0];
+    let name = path.split("/").pop() || "";
+    try {
+      name = decodeURIComponent(name);
+    } catch {
+      // Keep the raw name
+    }
+    return name
+      .toLowerCase()
+      .replace(
+        /_(?:\d*x\d*|pico|icon|thumb|small|compact|medium|large|grande|original|master)(?:_crop_[a-z]+)?(?:@\dx)?(?=\.[^.]+$)/,
+        ""
+      );
+  }
+
+  function firstSrcsetUrl(srcset) {
+    return srcset ? srcset.split(",")[0].trim().split(/\s+/)[0] : "";
   }
 
-  // Map: cleaned filename → image numeric ID
-  const filenameToId = {};
-  for (const [imgNumId, src] of Object.entries(imageUrls)) {
-    filenameToId[baseFilename(src)] = imgNumId;
+  function candidateUrls(el) {
+    const urls = [];
+    el.querySelectorAll("img, source").forEach((node) => {
+      urls.push(
+        node.getAttribute("src"),
+        node.getAttribute("data-src"),
+        firstSrcsetUrl(node.getAttribute("srcset")),
+        firstSrcsetUrl(node.getAttribute("data-srcset")),
+        node.currentSrc
+      );
+    });
+    return urls.filter(Boolean);
   }
 
   // ── Gallery selectors (ordered most → least specific) ──────────────────────
@@ -108,92 +142,257 @@
     ".product-single__thumbnails li",
   ];
 
-  function findGalleryItems() {
-    for (const sel of GALLERY_SELECTORS) {
-      const items = Array.from(document.querySelectorAll(sel));
-      if (items.length > 0) return items;
-    }
-    return [];
+  // ── Theme profiles ─────────────────────────────────────────────────────────
+  // A profile knows where a theme family keeps its gallery, which slide is
+  // showing (activeSelector), how to switch to another (activate) and how to
+  // make its slider pick up hidden or moved slides (refresh). It is chosen
+  // from Shopify.theme.schema_name unless the app embed names one. Both hooks
+  // get the product's filter (lens) so they stay inside its section.
+  function clickItem(item) {
+    item.click?.();
+    item.querySelector("button, a")?.click?.();
+  }
+
+  // Thumbnail-driven galleries switch slides when a thumbnail is clicked.
+  function clickMatchingThumbnail(item, lens) {
+    const imgId = lens.resolveImageId(item);
+    const thumb = lens.findThumbnailItems().find(
+      (candidate) =>
+        !candidate.classList.contains("vi--hidden") && lens.resolveImageId(candidate) === imgId
+    );
+    clickItem(thumb || item);
   }
 
-  function getImgSrc(el) {
-    const img = el.querySelector("img");
-    return img ? img.getAttribute("src") || img.currentSrc || "" : "";
+  function flickityFor(item) {
+    const slider = item.closest(".flickity-enabled");
+    return slider && window.Flickity?.data ? window.Flickity.data(slider) : null;
   }
 
-  // ── Core filter function ───────────────────────────────────────────────────
-  function filterGallery(variantId) {
-    if (!variantId) return;
+  function activateFlickity(item, lens) {
+    const flickity = flickityFor(item);
+    if (flickity) flickity.selectCell(item, false, true);
+    else clickMatchingThumbnail(item, lens);
+  }
 
-    const variantKey = String(variantId);
-    let mappingKey = variantKey;
+  function refreshFlickity(items) {
+    new Set(items.map(flickityFor).filter(Boolean)).forEach((flickity) => {
+      flickity.reloadCells();
+      flickity.resize();
+    });
+  }
 
-    if (mappingMode === "option" && mappedOptionName && Array.isArray(optionNames)) {
-      const optionIndex = optionNames.indexOf(mappedOptionName);
-      if (optionIndex >= 0) {
-        const selectedOptionsForVariant = variantOptions?.[variantKey];
-        mappingKey = selectedOptionsForVariant?.[optionIndex] || "__unknown__";
-      }
-    }
+  function flickityProfile(name, schemaNames, gallery, thumbnails) {
+    return {
+      name,
+      schemaNames,
+      gallery,
+      thumbnails,
+      activeSelector: gallery.map((sel) => `${sel}.is-selected`).join(","),
+      activate: activateFlickity,
+      refresh: refreshFlickity,
+    };
+  }
 
-    const allowedIds = mappingTable[mappingKey];
-    const allAssignedImageIds = new Set(Object.values(mappingTable).flat());
+  const THEME_PROFILES = [
+    {
+      name: "dawn",
+      schemaNames: [
+        "Dawn", "Craft", "Sense", "Refresh", "Taste", "Studio", "Crave",
+        "Colorblock", "Ride", "Origin", "Spotlight", "Publisher", "Trade", "Produce",
+      ],
+      gallery: [".product__media-list .product__media-item", ".product__media-list > li"],
+      thumbnails: [".thumbnail-list .thumbnail-list__item"],
+      activeSelector: ".product__media-item.is-active, .product__media-item[aria-current='true']",
+      // <media-gallery> scrolls its slider and syncs thumbnails itself.
+      activate(item) {
+        const gallery = item.closest("media-gallery");
+        if (gallery?.setActiveMedia && item.dataset.mediaId) {
+          gallery.setActiveMedia(item.dataset.mediaId, false);
+        } else {
+          clickItem(item);
+        }
+      },
+      // <slider-component> counts only visible slides for its pager.
+      refresh(items) {
+        new Set(items.map((item) => item.closest("slider-component")).filter(Boolean)).forEach(
+          (slider) => slider.resetPages?.()
+        );
+      },
+    },
+    {
+      name: "debut",
+      schemaNames: ["Debut"],
+      gallery: [
+        ".product-single__media-group .product-single__media-wrapper",
+        ".product-single__photos .product-single__photo-wrapper",
+      ],
+      thumbnails: [".product-single__thumbnails-item"],
+      // Debut shows one photo at a time and hides the rest with .hide.
+      activeSelector:
+        ".product-single__media-wrapper:not(.hide), .product-single__photo-wrapper:not(.hide)",
+      activate: clickMatchingThumbnail,
+      // More than a few thumbnails are put in a Slick carousel.
+      refresh(items, lens) {
+        const thumbnails = lens.root.querySelector(".product-single__thumbnails.slick-initialized");
+        if (thumbnails && window.jQuery) window.jQuery(thumbnails).slick("setPosition");
+      },
+    },
+    flickityProfile(
+      "impulse",
+      ["Impulse", "Motion", "Streamline", "Expanse"],
+      [".product-slideshow .product-main-slide", "[data-product-photos] .product-main-slide"],
+      [".product__thumbs .product__thumb-item"]
+    ),
+    flickityProfile(
+      "prestige",
+      ["Prestige"],
+      [".product-gallery__media", ".Product__Slideshow .Product__SlideItem"],
+      [".product-gallery__thumbnail", ".Product__SlideshowNav .Product__SlideshowNavImage"]
+    ),
+    flickityProfile(
+      "broadcast",
+      ["Broadcast"],
+      [".product__slides .product__slide"],
+      [".product__thumbs .product__thumb"]
+    ),
+  ];
+
+  const GENERIC_PROFILE = {
+    name: "generic",
+    schemaNames: [],
+    gallery: [],
+    thumbnails: [],
+    activeSelector: ".product__media-item[aria-current='true']",
+    activate: clickItem,
+    refresh() {},
+  };
 
-    // No mapping for selected variant → show none (requested fallback)
-    if (!allowedIds) {
-      showNone();
-      return;
+  function detectThemeProfile(requested) {
+    if (requested && requested !== "auto") {
+      const named = [...THEME_PROFILES, GENERIC_PROFILE].find((profile) => profile.name === requested);
+      if (named) return named;
     }
+    const schemaName = window.Shopify?.theme?.schema_name;
+    return THEME_PROFILES.find((profile) => profile.schemaNames.includes(schemaName)) || GENERIC_PROFILE;
+  }
 
-    const allowedSet = new Set(allowedIds);
-    const galleryItems = findGalleryItems();
+  const VARIANT_INPUT_SELECTOR =
+    'form[action*="/cart/add"] input[name="id"],' +
+    'form.product-form input[name="id"],' +
+    'input[name="id"][form]';
 
-    if (galleryItems.length === 0) return;
+  // Loop-mode duplicates made by the slider libraries below.
+  const SLIDE_CLONE_SELECTOR = ".swiper-slide-duplicate, .slick-cloned, .splide__slide--clone";
 
-    let firstVisible = null;
+  // ── Slider integrations ────────────────────────────────────────────────────
+  // Carousels keep their own list of slides, so a slide hidden with
+  // display:none leaves a blank position, a stray pagination dot and broken
+  // swiping. When the gallery or thumbnails sit in a known slider, the slides
+  // are rebuilt through its API instead: hidden slides are removed (and kept
+  // by the filter for the next variant), visible ones re-added in order, and
+  // the slider moved to the first slide.
+  const SLIDER_ADAPTERS = [
+    {
+      name: "swiper",
+      find(item) {
+        const root = item.closest(".swiper, .swiper-container, swiper-container");
+        return root?.swiper ? { root, instance: root.swiper } : null;
+      },
+      slideFor: (item) => item.closest(".swiper-slide") || item,
+      setSlides(swiper, slides) {
+        swiper.removeAllSlides();
+        swiper.appendSlide(slides);
+        swiper.update();
+        swiper.slideTo(0, 0);
+      },
+    },
+    {
+      name: "flickity",
+      find(item) {
+        const root = item.closest(".flickity-enabled");
+        const instance = root && window.Flickity?.data ? window.Flickity.data(root) : null;
+        return instance ? { root, instance } : null;
+      },
+      slideFor: (item) => item.closest(".flickity-slider > *") || item,
+      setSlides(flickity, slides) {
+        flickity.remove(flickity.getCellElements());
+        flickity.append(slides);
+        flickity.select(0, false, true);
+      },
+    },
+    {
+      // Opt-in only: Splide keeps no reference to its instance anywhere the
+      // script could find it, so this applies once a theme assigns it to
+      // root.splide after mounting. Other Splide galleries fall back to
+      // hiding slides.
+      name: "splide",
+      find(item) {
+        const root = item.closest(".splide");
+        return root?.splide ? { root, instance: root.splide } : null;
+      },
+      slideFor: (item) => item.closest(".splide__slide") || item,
+      setSlides(splide, slides) {
+        splide.remove(() => true);
+        splide.add(slides);
+        splide.go(0);
+      },
+    },
+    {
+      name: "slick",
+      find(item) {
+        const root = item.closest(".slick-initialized");
+        return root && window.jQuery?.fn?.slick ? { root, instance: window.jQuery(root) } : null;
+      },
+      slideFor: (item) => item.closest(".slick-slide") || item,
+      setSlides($slider, slides) {
+        $slider.slick("slickRemove", null, null, true);
+        slides.forEach((slide) => $slider.slick("slickAdd", slide));
+        $slider.slick("slickGoTo", 0, true);
+      },
+    },
+  ];
 
-    galleryItems.forEach((item) => {
-      const src = getImgSrc(item);
-      const filename = baseFilename(src);
-      const imgId = filenameToId[filename];
-      let visible = false;
-      if (imgId && allowedSet.has(imgId)) {
-        visible = true;
-      } else if (
-        imgId &&
-        !normalizedSettings.hideUnassignedImages &&
-        !allAssignedImageIds.has(imgId)
-      ) {
-        visible = true;
+  function attachSlider(items) {
+    if (items.length === 0) return null;
+    for (const adapter of SLIDER_ADAPTERS) {
+      const found = adapter.find(items[0]);
+      if (found && items.every((item) => found.root.contains(item))) {
+        return {
+          adapter,
+          instance: found.instance,
+          root: found.root,
+          items: items.slice(),
+          slides: items.map(adapter.slideFor),
+        };
       }
+    }
+    return null;
+  }
 
-      setVisible(item, visible);
-      if (visible && !firstVisible) firstVisible = item;
+  // ── Gallery order ──────────────────────────────────────────────────────────
+  // Moves the selected value's items to the front in their saved order; the
+  // rest follow in the theme's original order, which each item remembers
+  // (data-vi-index) so switching variants never compounds earlier moves.
+  function reorderItems(items, imageIds, orderedIds) {
+    const groups = new Map();
+    items.forEach((item, index) => {
+      if (item.dataset.viIndex == null) item.dataset.viIndex = String(index);
+      if (!item.parentElement) return;
+      if (!groups.has(item.parentElement)) groups.set(item.parentElement, []);
+      groups.get(item.parentElement).push({ item, imgId: imageIds[index] });
     });
 
-    // Mirror visibility on thumbnail strips
-    const thumbItems = THUMBNAIL_SELECTORS.flatMap((sel) =>
-      Array.from(document.querySelectorAll(sel))
-    );
-    thumbItems.forEach((thumb) => {
-      const src = getImgSrc(thumb);
-      const filename = baseFilename(src);
-      const imgId = filenameToId[filename];
-      let visible = false;
-      if (imgId && allowedSet.has(imgId)) {
-        visible = true;
-      } else if (
-        imgId &&
-        !normalizedSettings.hideUnassignedImages &&
-        !allAssignedImageIds.has(imgId)
-      ) {
-        visible = true;
-      }
-      setVisible(thumb, visible);
-    });
+    groups.forEach((entries, parent) => {
+      const rank = ({ item, imgId }) => {
+        const position = imgId ? orderedIds.indexOf(imgId) : -1;
+        return position >= 0 ? position : orderedIds.length + Number(item.dataset.viIndex);
+      };
+      const sorted = entries.slice().sort((a, b) => rank(a) - rank(b));
+      if (sorted.every((entry, i) => entry.item === entries[i].item)) return;
 
-    // If the currently-active slide is now hidden, activate the first visible one
-    if (firstVisible) activateFirstVisible(firstVisible);
+      const anchor = entries[entries.length - 1].item.nextSibling;
+      sorted.forEach(({ item }) => parent.insertBefore(item, anchor));
+    });
   }
 
   function setVisible(el, visible) {
@@ -205,110 +404,998 @@
       el.style.display = "none";
       el.setAttribute("aria-hidden", "true");
       el.classList.add("vi--hidden");
+      pauseMedia(el);
     }
   }
 
-  function showNone() {
-    findGalleryItems().forEach((el) => setVisible(el, false));
-    THUMBNAIL_SELECTORS.flatMap((sel) =>
-      Array.from(document.querySelectorAll(sel))
-    ).forEach((el) => setVisible(el, false));
+  // Stop videos and 3D models that are being hidden from playing on.
+  function pauseMedia(el) {
+    el.querySelectorAll("video").forEach((video) => video.pause());
+    el.querySelectorAll("iframe").forEach((iframe) => {
+      // YouTube and Vimeo player APIs
+      iframe.contentWindow?.postMessage(
+        '{"event":"command","func":"pauseVideo","args":""}',
+        "*"
+      );
+      iframe.contentWindow?.postMessage('{"method":"pause"}', "*");
+    });
+    el.querySelectorAll("model-viewer").forEach((model) => model.pause?.());
   }
 
-  // Scroll / click the first visible gallery item when the active one is hidden
-  function activateFirstVisible(firstVisible) {
-    // Dawn uses a media-gallery with a "selected" data attribute
-    const selectedAttrItem = document.querySelector(
-      ".product__media-item[aria-current='true']"
+  // ── Product data and roots ─────────────────────────────────────────────────
+  // #variant-image-data is the single-product markup of earlier versions.
+  const DATA_SELECTOR = "script[data-variant-lens-data], #variant-image-data";
+
+  // The part of the page a product's filter works in. Blocks use the section
+  // (or modal) they are rendered in; themes can mark a custom root with
+  // data-variant-lens-root.
+  const ROOT_SELECTOR = "[data-variant-lens-root], .shopify-section, dialog, [role='dialog']";
+
+  // Shop settings, then the settings rules the product matches (resolved by
+  // the app), then the product's own settings saved with its map.
+  function effectiveSettings(shopSettings, ruleSettings, map) {
+    const overrides = [parseJson(ruleSettings, null), map?.settings].filter(
+      (value) => value && typeof value === "object"
     );
-    if (selectedAttrItem && selectedAttrItem.classList.contains("vi--hidden")) {
-      firstVisible.click?.();
-      firstVisible.querySelector("button, a")?.click?.();
+    return Object.assign({}, shopSettings, ...overrides);
+  }
+
+  function parseJson(value, fallback) {
+    if (typeof value !== "string") return value ?? fallback;
+    try {
+      return JSON.parse(value);
+    } catch {
+      return fallback;
     }
   }
 
-  // ── Variant change detection ───────────────────────────────────────────────
+  // Theme profile and selectors set on the app embed apply to every product.
+  function readEmbedOptions() {
+    const embedEl = document.querySelector("script[data-variant-lens-embed]");
+    const embedConfig = embedEl ? parseJson(embedEl.textContent, null) : null;
+    return {
+      themeProfile: embedConfig?.themeProfile || null,
+      selectors: embedConfig?.selectors || {},
+    };
+  }
 
-  function getCurrentVariantId() {
-    // 1. URL ?variant= param
-    const param = new URLSearchParams(window.location.search).get("variant");
-    if (param) return param;
+  // One filter per product data block on the page
+  const lenses = [];
 
-    // 2. Hidden form input
-    const input = document.querySelector(
-      'form[action*="/cart/add"] input[name="id"],' +
-      'form.product-form input[name="id"],' +
-      'input[name="id"][form]'
-    );
-    if (input?.value) return input.value;
+  // The innermost filter root that contains el, or document.
+  function ownerRootOf(el) {
+    const containing = lenses
+      .map((lens) => lens.root)
+      .filter((root) => root !== document && root.contains(el));
+    return containing.find((root) => !containing.some((other) => other !== root && root.contains(other))) ||
+      document;
+  }
 
-    // 3. Shopify global JS (older themes)
-    const meta = window.ShopifyAnalytics?.meta;
-    if (meta?.selectedVariantId) return String(meta.selectedVariantId);
+  // ── Per-product filter ─────────────────────────────────────────────────────
+  function createLens(dataEl, embedOptions) {
+    const config = parseJson(dataEl.textContent, null);
+    if (!config) return null;
 
-    return null;
-  }
+    let { mapping, imageUrls, initialVariantId, settings, optionNames, variantOptions } = config;
+    if (!mapping || !imageUrls) return null;
+    mapping = parseJson(mapping, null);
+    if (!mapping) return null;
+    settings = effectiveSettings(parseJson(settings, null), config.ruleSettings, mapping);
 
-  let lastVariantId = null;
+    const normalizedSettings = {
+      enabled: settings.enabled ?? true,
+      hideUnassignedImages: settings.hideUnassignedImages ?? false,
+      reorderGallery: settings.reorderGallery ?? false,
+    };
+    if (!normalizedSettings.enabled) return null;
 
-  function handleVariantChange(variantId) {
-    if (!variantId || variantId === lastVariantId) return;
-    lastVariantId = variantId;
-    filterGallery(variantId);
-  }
+    let mappingMode = "variant";
+    let mappedOptionName = null;
+    let mappedOptionNames = [];
+    let mappingTable = mapping;
+    if (typeof mapping === "object" && mapping.mode === "option") {
+      mappingMode = "option";
+      mappedOptionName = mapping.optionName || null;
+      mappingTable = mapping.mapping || {};
+    } else if (typeof mapping === "object" && mapping.mode === "variant") {
+      mappingTable = mapping.mapping || {};
+    } else if (typeof mapping === "object" && mapping.mode === "combination") {
+      mappingMode = "combination";
+      mappedOptionNames = Array.isArray(mapping.optionNames) ? mapping.optionNames : [];
+      mappingTable = mapping.mapping || {};
+    }
+    if (!mappingTable || typeof mappingTable !== "object") return null;
 
-  function init() {
-    // Apply initial filter
-    const initial = initialVariantId || getCurrentVariantId();
-    if (initial) handleVariantChange(String(initial));
+    const productId = String(config.productId || dataEl.dataset.productId || "");
 
-    // ── Event listeners ───────────────────────────────────────────────────
+    // { [mapping key]: imgNumId } – the image each value shows first
+    const featuredTable =
+      typeof mapping.featured === "object" && mapping.featured ? mapping.featured : {};
 
-    // 1. Native "variant:changed" event (Dawn and many modern themes)
-    document.addEventListener("variant:changed", (e) => {
-      const id = e.detail?.variant?.id;
-      if (id) handleVariantChange(String(id));
-    });
+    const allAssignedImageIds = new Set(Object.values(mappingTable).flat());
 
-    // 2. MutationObserver on the hidden id input (most themes)
-    const idInput = document.querySelector('input[name="id"]');
-    if (idInput) {
-      new MutationObserver(() => {
-        if (idInput.value) handleVariantChange(idInput.value);
-      }).observe(idInput, { attributes: true, attributeFilter: ["value"] });
+    const combinationEntries = Object.keys(mappingTable)
+      .map((key) => {
+        const values = parseCombinationKey(key);
+        const wildcards = values.filter((v) => v === COMBINATION_WILDCARD).length;
+        return { key, values, wildcards };
+      })
+      .filter((entry) => entry.values.length === mappedOptionNames.length)
+      .sort((a, b) => a.wildcards - b.wildcards);
 
-      idInput.addEventListener("change", () => {
-        if (idInput.value) handleVariantChange(idInput.value);
+    function resolveCombinationKey(variantKey) {
+      if (!Array.isArray(optionNames)) return null;
+      const selected = variantOptions?.[variantKey];
+      if (!selected) return null;
+
+      const selectedValues = mappedOptionNames.map((name) => {
+        const index = optionNames.indexOf(name);
+        return index >= 0 ? selected[index] : undefined;
       });
+
+      const match = combinationEntries.find((entry) =>
+        entry.values.every(
+          (value, i) => value === COMBINATION_WILDCARD || value === selectedValues[i]
+        )
+      );
+      return match ? match.key : null;
     }
 
-    // 3. URL change (themes that push ?variant= to history)
-    let lastUrl = location.href;
-    new MutationObserver(() => {
-      if (location.href !== lastUrl) {
-        lastUrl = location.href;
+    // Variant events and URLs on the page may belong to another product.
+    function ownsVariant(variantId) {
+      if (!variantOptions || Object.keys(variantOptions).length === 0) return true;
+      return Boolean(variantId) && Object.prototype.hasOwnProperty.call(variantOptions, variantId);
+    }
+
+    const mediaToImageId = {};
+    for (const [mediaNumId, imgNumId] of Object.entries(config.mediaIds || {})) {
+      mediaToImageId[String(mediaNumId)] = String(imgNumId);
+    }
+
+    // imgNumId → media ID, and every imgNumId in the product's media order
+    const imageToMediaId = {};
+    for (const [mediaNumId, imgNumId] of Object.entries(mediaToImageId)) {
+      if (!imageToMediaId[imgNumId]) imageToMediaId[imgNumId] = mediaNumId;
+    }
+    const productImageIds = [
+      ...new Set([...Object.values(mediaToImageId), ...Object.keys(imageUrls)]),
+    ];
+
+    // What a value without images shows. "none" hides the whole gallery.
+    const fallbackPolicy =
+      settings.fallback && typeof settings.fallback === "object" && settings.fallback.mode
+        ? settings.fallback
+        : { mode: "none", value: "" };
+    const featuredImageId =
+      imageIdForNumericId(String(config.featuredMediaId || "")) || productImageIds[0] || null;
+
+    // "inherit" uses the named value, or the first value with images.
+    function inheritedKey() {
+      if (fallbackPolicy.value && mappingTable[fallbackPolicy.value]?.length) {
+        return fallbackPolicy.value;
+      }
+      return Object.keys(mappingTable).find((key) => mappingTable[key]?.length) || null;
+    }
+
+    // The exact images shown by the other policies, or null to show none.
+    function fallbackImageIds() {
+      switch (fallbackPolicy.mode) {
+        case "all":
+          return productImageIds;
+        case "unassigned":
+          return productImageIds.filter((imgId) => !allAssignedImageIds.has(imgId));
+        case "featured":
+          return featuredImageId ? [featuredImageId] : null;
+        default:
+          return null;
+      }
+    }
+
+    function imageIdForNumericId(numId) {
+      if (!numId) return null;
+      if (mediaToImageId[numId]) return mediaToImageId[numId];
+      if (imageUrls[numId]) return numId;
+      return null;
+    }
+
+    // Map: cleaned filename → image numeric ID. Filenames shared by several
+    // images can't identify one and are left out.
+    const filenameToId = {};
+    const ambiguousFilenames = new Set();
+    for (const [imgNumId, src] of Object.entries(imageUrls)) {
+      const filename = baseFilename(src);
+      if (filenameToId[filename] && filenameToId[filename] !== imgNumId) {
+        ambiguousFilenames.add(filename);
+      }
+      filenameToId[filename] = imgNumId;
+    }
+    ambiguousFilenames.forEach((filename) => delete filenameToId[filename]);
+
+    const matchStats = { media: 0, filename: 0, unmatched: 0 };
+
+    function resolveImageId(el) {
+      const carriers = [el, ...el.querySelectorAll(MEDIA_ID_SELECTOR)];
+      for (const carrier of carriers) {
+        for (const attr of MEDIA_ID_ATTRIBUTES) {
+          const imgId = imageIdForNumericId(idFromAttribute(carrier.getAttribute(attr)));
+          if (imgId) {
+            matchStats.media += 1;
+            return imgId;
+          }
+        }
+      }
+
+      for (const url of candidateUrls(el)) {
+        const imgId = filenameToId[baseFilename(url)];
+        if (imgId) {
+          matchStats.filename += 1;
+          return imgId;
+        }
+      }
+
+      matchStats.unmatched += 1;
+      return null;
+    }
+
+    let diagnosticShown = false;
+
+    // Logs once when gallery items exist but none could be matched, which
+    // usually means the theme markup needs a custom selector or media IDs.
+    function reportUnmatchedGallery(itemCount) {
+      if (diagnosticShown) return;
+      diagnosticShown = true;
+      console.warn(
+        `[Variant Lens] None of the ${itemCount} gallery items could be matched to product images ` +
+          "by data-media-id, media GID or filename, so filtering is skipped.",
+        matchStats
+      );
+    }
+
+    // The embed has no section of its own, so it uses the section holding a
+    // cart form for one of the product's variants.
+    function findRoot() {
+      const own = dataEl.closest(ROOT_SELECTOR);
+      if (own) return own;
+      const input = Array.from(document.querySelectorAll(VARIANT_INPUT_SELECTOR)).find((candidate) =>
+        ownsVariant(candidate.value)
+      );
+      return input?.closest(ROOT_SELECTOR) || document;
+    }
+
+    const root = findRoot();
+    const themeProfile = detectThemeProfile(config.themeProfile || embedOptions.themeProfile);
+
+    // Selectors in this product's data win over the app embed's, which win
+    // over the shop settings; all are tried before the built-in lists.
+    // Invalid selectors are reported and skipped.
+    function customSelector(key) {
+      const candidates = [
+        config.selectors?.[key],
+        embedOptions.selectors?.[key],
+        settings?.selectors?.[key],
+      ];
+      for (const candidate of candidates) {
+        if (typeof candidate !== "string" || !candidate.trim()) continue;
+        try {
+          document.querySelector(candidate);
+          return candidate.trim();
+        } catch {
+          console.warn(`[Variant Lens] Ignoring invalid ${key} selector:`, candidate);
+        }
+      }
+      return null;
+    }
+
+    const customGallerySelector = customSelector("gallery");
+    const customThumbnailSelector = customSelector("thumbnail");
+    const customVariantInputSelector = customSelector("variantInput");
+
+    // Items inside another product's root belong to that product. When this
+    // root has no gallery of its own (e.g. the block sits in a separate
+    // apps section), the rest of the page is searched.
+    let searchPage = false;
+
+    function owns(el) {
+      const owner = ownerRootOf(el);
+      return owner === root || (searchPage && owner === document);
+    }
+
+    function queryItems(sel) {
+      return Array.from((searchPage ? document : root).querySelectorAll(sel)).filter(
+        (item) => !item.closest(SLIDE_CLONE_SELECTOR) && owns(item)
+      );
+    }
+
+    // { gallery, thumbnails }: { adapter, instance, items, slides } once found
+    const sliders = {};
+
+    function findGalleryItems() {
+      if (sliders.gallery) return sliders.gallery.items.slice();
+      const selectors = [
+        ...(customGallerySelector ? [customGallerySelector] : []),
+        ...themeProfile.gallery,
+        ...GALLERY_SELECTORS,
+      ];
+      for (const sel of selectors) {
+        const items = queryItems(sel);
+        if (items.length > 0) return items;
+      }
+      if (!searchPage && root !== document) {
+        searchPage = true;
+        const items = findGalleryItems();
+        if (items.length > 0) return items;
+        searchPage = false;
+      }
+      return [];
+    }
+
+    function findThumbnailItems() {
+      if (sliders.thumbnails) return sliders.thumbnails.items.slice();
+      if (customThumbnailSelector) {
+        const items = queryItems(customThumbnailSelector);
+        if (items.length > 0) return items;
+      }
+      const profileItems = themeProfile.thumbnails.flatMap(queryItems);
+      if (profileItems.length > 0) return profileItems;
+      return THUMBNAIL_SELECTORS.flatMap(queryItems);
+    }
+
+    // Returns false when the items aren't in a known slider, so the caller
+    // falls back to hiding and moving them in place.
+    function syncSlider(role, items, imageIds, isVisible, orderedIds) {
+      if (!sliders[role]) sliders[role] = attachSlider(items);
+      const slider = sliders[role];
+      if (!slider) return false;
+
+      const rank = (index) => {
+        const position = imageIds[index] ? orderedIds.indexOf(imageIds[index]) : -1;
+        return position >= 0 ? position : orderedIds.length + index;
+      };
+      const visible = items
+        .map((_, index) => index)
+        .filter((index) => isVisible(imageIds[index]))
+        .sort((a, b) => rank(a) - rank(b));
+
+      try {
+        slider.adapter.setSlides(slider.instance, [...new Set(visible.map((i) => slider.slides[i]))]);
+        return true;
+      } catch (error) {
+        console.warn(`[Variant Lens] Could not update the ${slider.adapter.name} slider:`, error);
+        sliders[role] = null;
+        return false;
+      }
+    }
+
+    function resetSliders() {
+      sliders.gallery = null;
+      sliders.thumbnails = null;
+    }
+
+    function findVariantInput() {
+      const scope = root === document ? document : root;
+      return (
+        (customVariantInputSelector && scope.querySelector(customVariantInputSelector)) ||
+        scope.querySelector(VARIANT_INPUT_SELECTOR) ||
+        scope.querySelector('input[name="id"]')
+      );
+    }
+
+    // ── Core filter function ─────────────────────────────────────────────────
+    // What the selected variant should show, independent of the theme markup.
+    function selectionFor(variantId) {
+      const variantKey = String(variantId);
+      let mappingKey = variantKey;
+
+      if (mappingMode === "option" && mappedOptionName && Array.isArray(optionNames)) {
+        const optionIndex = optionNames.indexOf(mappedOptionName);
+        if (optionIndex >= 0) {
+          const selectedOptionsForVariant = variantOptions?.[variantKey];
+          mappingKey = selectedOptionsForVariant?.[optionIndex] || "__unknown__";
+        }
+      } else if (mappingMode === "combination") {
+        mappingKey = resolveCombinationKey(variantKey) || "__unknown__";
+      }
+
+      // Values without images follow the fallback policy. An inherited value
+      // behaves as if it were selected; the other policies show exactly
+      // their images. No allowedIds means show none.
+      let sourceKey = mappingKey;
+      let allowedIds = mappingTable[mappingKey] || null;
+      let fallback = null;
+      let exactIds = false;
+      if (!allowedIds && fallbackPolicy.mode === "inherit") {
+        sourceKey = inheritedKey();
+        allowedIds = sourceKey ? mappingTable[sourceKey] : null;
+        fallback = "inherit";
+      } else if (!allowedIds) {
+        allowedIds = fallbackImageIds();
+        fallback = fallbackPolicy.mode;
+        exactIds = true;
+      }
+
+      const allowedSet = new Set(allowedIds || []);
+      const isVisible = (imgId) => {
+        if (!imgId || !allowedIds) return false;
+        if (allowedSet.has(imgId)) return true;
+        if (exactIds) return false;
+        return !normalizedSettings.hideUnassignedImages && !allAssignedImageIds.has(imgId);
+      };
+
+      // The featured image always leads; with reordering on, the rest of the
+      // value's images follow in their saved order. Values without either get
+      // the theme's order back.
+      const featuredId = featuredTable[sourceKey];
+      const shouldReorder =
+        Boolean(allowedIds) &&
+        (normalizedSettings.reorderGallery || Object.keys(featuredTable).length > 0);
+      const orderedIds = !shouldReorder
+        ? []
+        : normalizedSettings.reorderGallery
+          ? [...(featuredId ? [featuredId] : []), ...allowedIds.filter((id) => id !== featuredId)]
+          : featuredId
+            ? [featuredId]
+            : [];
+
+      return {
+        variantId: variantKey,
+        mappingKey,
+        fallback,
+        allowedIds,
+        isVisible,
+        shouldReorder,
+        orderedIds,
+      };
+    }
+
+    // Visible imgNumIds in display order, from the product's media list rather
+    // than the page, so custom galleries can use them too.
+    function visibleImageIds(selection) {
+      const rank = (imgId, index) => {
+        const position = selection.orderedIds.indexOf(imgId);
+        return position >= 0 ? position : selection.orderedIds.length + index;
+      };
+      return productImageIds
+        .map((imgId, index) => ({ imgId, rank: rank(imgId, index) }))
+        .filter(({ imgId }) => selection.isVisible(imgId))
+        .sort((a, b) => a.rank - b.rank)
+        .map(({ imgId }) => imgId);
+    }
+
+    function visibleIds(selection) {
+      const imageIds = selection.allowedIds ? visibleImageIds(selection) : [];
+      return { imageIds, mediaIds: imageIds.map((imgId) => imageToMediaId[imgId] || imgId) };
+    }
+
+    // Events bubble from the product's root, so listeners on document hear
+    // every product and listeners on a section only its own.
+    function emit(type, detail) {
+      const target = root === document ? document : root;
+      target.dispatchEvent(new CustomEvent(type, { bubbles: true, detail: { productId, ...detail } }));
+    }
+
+    let currentSelection = null;
+
+    function filterGallery(variantId) {
+      if (!variantId) return;
+
+      const selection = selectionFor(variantId);
+      currentSelection = selection;
+      applySelection(selection);
+      emit("variantlens:filtered", {
+        variantId: selection.variantId,
+        mappingKey: selection.mappingKey,
+        fallback: selection.fallback,
+        ...visibleIds(selection),
+      });
+    }
+
+    function applySelection(selection) {
+      const { allowedIds, isVisible, shouldReorder, orderedIds } = selection;
+      if (!allowedIds) {
+        showNone();
+        return;
+      }
+
+      const galleryItems = findGalleryItems();
+
+      if (galleryItems.length === 0) return;
+
+      const galleryIds = galleryItems.map(resolveImageId);
+      if (galleryIds.every((imgId) => !imgId)) {
+        reportUnmatchedGallery(galleryItems.length);
+        return;
+      }
+
+      galleryItems.forEach((item, index) => {
+        setVisible(item, isVisible(galleryIds[index]));
+      });
+
+      // Mirror visibility on thumbnail strips
+      const thumbItems = findThumbnailItems();
+      const thumbIds = thumbItems.map(resolveImageId);
+      thumbItems.forEach((thumb, index) => {
+        setVisible(thumb, isVisible(thumbIds[index]));
+      });
+
+      // Sliders get their slides rebuilt in order; anything else is moved in place.
+      const galleryInSlider = syncSlider("gallery", galleryItems, galleryIds, isVisible, orderedIds);
+      const thumbsInSlider = syncSlider("thumbnails", thumbItems, thumbIds, isVisible, orderedIds);
+      if (shouldReorder) {
+        if (!galleryInSlider) reorderItems(galleryItems, galleryIds, orderedIds);
+        if (!thumbsInSlider) reorderItems(thumbItems, thumbIds, orderedIds);
+      }
+
+      themeProfile.refresh([...galleryItems, ...thumbItems], lens);
+
+      const firstVisible = findGalleryItems().find((item) => !item.classList.contains("vi--hidden"));
+
+      // If the currently-active slide is now hidden, activate the first visible one
+      if (firstVisible) activateFirstVisible(firstVisible);
+    }
+
+    function showNone() {
+      const galleryItems = findGalleryItems();
+      const thumbItems = findThumbnailItems();
+      const items = [...galleryItems, ...thumbItems];
+      items.forEach((el) => setVisible(el, false));
+      syncSlider("gallery", galleryItems, [], () => false, []);
+      syncSlider("thumbnails", thumbItems, [], () => false, []);
+      themeProfile.refresh(items, lens);
+    }
+
+    // Switch to the first visible gallery item when the active one is hidden
+    function activateFirstVisible(firstVisible) {
+      const activeItem = findGalleryItems().find((item) => item.matches(themeProfile.activeSelector));
+      if (activeItem && activeItem.classList.contains("vi--hidden")) {
+        themeProfile.activate(firstVisible, lens);
+      }
+    }
+
+    // Shows every item again in the theme's order.
+    function restoreGallery() {
+      const galleryItems = findGalleryItems();
+      const thumbItems = findThumbnailItems();
+      const showAll = () => true;
+      [
+        ["gallery", galleryItems],
+        ["thumbnails", thumbItems],
+      ].forEach(([role, items]) => {
+        const imageIds = items.map(resolveImageId);
+        items.forEach((item) => setVisible(item, true));
+        if (!syncSlider(role, items, imageIds, showAll, [])) reorderItems(items, imageIds, []);
+      });
+      themeProfile.refresh([...galleryItems, ...thumbItems], lens);
+    }
+
+    // ── Variant change detection ─────────────────────────────────────────────
+
+    function getCurrentVariantId() {
+      // 1. URL ?variant= param
+      const param = new URLSearchParams(window.location.search).get("variant");
+      if (param && ownsVariant(param)) return param;
+
+      // 2. Hidden form input
+      const input = findVariantInput();
+      if (input?.value && ownsVariant(input.value)) return input.value;
+
+      // 3. Shopify global JS (older themes)
+      const meta = window.ShopifyAnalytics?.meta;
+      if (meta?.selectedVariantId && ownsVariant(String(meta.selectedVariantId))) {
+        return String(meta.selectedVariantId);
+      }
+
+      return null;
+    }
+
+    let lastVariantId = null;
+
+    function handleVariantChange(variantId) {
+      if (!variantId || variantId === lastVariantId || !ownsVariant(variantId)) return;
+      lastVariantId = variantId;
+      filterGallery(variantId);
+    }
+
+    // Everything start() attaches, so dispose() can take it off again.
+    const cleanups = [];
+
+    function listen(target, type, handler) {
+      target.addEventListener(type, handler);
+      cleanups.push(() => target.removeEventListener(type, handler));
+    }
+
+    function observe(target, options, callback) {
+      const observer = new MutationObserver(callback);
+      observer.observe(target, options);
+      cleanups.push(() => observer.disconnect());
+    }
+
+    const lens = {
+      productId,
+      dataEl,
+      root,
+      resolveImageId,
+      findThumbnailItems,
+
+      start() {
+        // Apply initial filter
+        const initial = initialVariantId || getCurrentVariantId();
+        if (initial) handleVariantChange(String(initial));
+
+        // 1. Native "variant:changed" event (Dawn and many modern themes)
+        listen(document, "variant:changed", (e) => {
+          const id = e.detail?.variant?.id;
+          if (id) handleVariantChange(String(id));
+        });
+
+        // 2. MutationObserver on the hidden id input (most themes)
+        const idInput = findVariantInput();
+        if (idInput) {
+          observe(idInput, { attributes: true, attributeFilter: ["value"] }, () => {
+            if (idInput.value) handleVariantChange(idInput.value);
+          });
+
+          listen(idInput, "change", () => {
+            if (idInput.value) handleVariantChange(idInput.value);
+          });
+        }
+
+        emit("variantlens:ready", {});
+      },
+
+      // URL changes and history navigation, reported by the page-level watcher
+      onLocationChange() {
         const vid = getCurrentVariantId();
         if (vid) handleVariantChange(vid);
-      }
-    }).observe(document.body, { childList: true, subtree: true });
+      },
+
+      // Filters for the given variant, even if it is already selected.
+      filter(variantId) {
+        if (!variantId || !ownsVariant(String(variantId))) return;
+        lastVariantId = String(variantId);
+        filterGallery(lastVariantId);
+      },
+
+      // Re-applies the current variant, e.g. after the gallery was re-rendered.
+      // Slides the filter took out of a slider that is still on the page only
+      // exist in `sliders`, so they're put back before it's forgotten.
+      refresh() {
+        if (Object.values(sliders).some((slider) => slider?.root.isConnected)) restoreGallery();
+        resetSliders();
+        searchPage = false;
+        const variantId = lastVariantId || getCurrentVariantId();
+        if (variantId) filterGallery(String(variantId));
+      },
+
+      ownsVariant,
+
+      // Media IDs shown for the current variant, in display order.
+      getAllowedMediaIds() {
+        return currentSelection ? visibleIds(currentSelection).mediaIds : [];
+      },
+
+      // Stops listening; restore also shows the full gallery in theme order.
+      dispose({ restore = false } = {}) {
+        cleanups.splice(0).forEach((cleanup) => cleanup());
+        if (restore) restoreGallery();
+        resetSliders();
+      },
+    };
 
-    window.addEventListener("popstate", () => {
-      const vid = getCurrentVariantId();
-      if (vid) handleVariantChange(vid);
+    return lens;
+  }
+
+  // ── Page-level registry ────────────────────────────────────────────────────
+  // Finds product data blocks, including ones added later by quick views and
+  // section re-renders, and drops filters whose block left the page.
+  const seenDataEls = new WeakSet();
+
+  function scan() {
+    for (const lens of lenses.slice()) {
+      if (!lens.dataEl.isConnected) removeLens(lens, { restore: false });
+    }
+
+    const embedOptions = readEmbedOptions();
+    const added = [];
+    document.querySelectorAll(DATA_SELECTOR).forEach((dataEl) => {
+      if (seenDataEls.has(dataEl)) return;
+      seenDataEls.add(dataEl);
+
+      const lens = createLens(dataEl, embedOptions);
+      if (!lens) return;
+      // The app embed and a block can both describe the main product.
+      const duplicate = lenses.some(
+        (other) => other.productId === lens.productId && other.root === lens.root
+      );
+      if (duplicate) return;
+
+      lenses.push(lens);
+      added.push(lens);
     });
+    added.forEach((lens) => lens.start());
+    return added;
+  }
 
-    // 4. Shopify section:load (theme preview / Customize editor reloads)
-    document.addEventListener("shopify:section:load", () => {
-      const vid = getCurrentVariantId();
-      if (vid) filterGallery(vid);
+  function removeLens(lens, options) {
+    lens.dispose(options);
+    lenses.splice(lenses.indexOf(lens), 1);
+  }
+
+  const pageCleanups = [];
+  let scanTimer = null;
+  let bootTimer = null;
+  let destroyed = false;
+
+  function scheduleScan() {
+    clearTimeout(scanTimer);
+    scanTimer = setTimeout(scan, 50);
+  }
+
+  function init() {
+    scan();
+    const cardsEl = document.querySelector("script[data-variant-lens-cards]");
+    if (cardsEl) initCards(cardsEl);
+
+    // URL changes (themes that push ?variant= to history) and blocks added
+    // by quick views or section re-renders
+    let lastUrl = location.href;
+    const observer = new MutationObserver((mutations) => {
+      if (location.href !== lastUrl) {
+        lastUrl = location.href;
+        lenses.forEach((lens) => lens.onLocationChange());
+      }
+      if (mutations.some((mutation) => mutation.addedNodes.length > 0 || mutation.removedNodes.length > 0)) {
+        scheduleScan();
+      }
     });
+    observer.observe(document.body, { childList: true, subtree: true });
+    pageCleanups.push(() => observer.disconnect());
+
+    const onPopState = () => lenses.forEach((lens) => lens.onLocationChange());
+    window.addEventListener("popstate", onPopState);
+    pageCleanups.push(() => window.removeEventListener("popstate", onPopState));
+
+    // Shopify section:load (theme preview / Customize editor reloads). The
+    // editor replaces the section's element: filters inside it are rebuilt
+    // by scan(), and filters whose root holds the section re-find their
+    // gallery. Filters elsewhere on the page keep their state.
+    const onSectionLoad = (event) => {
+      const added = scan();
+      lenses
+        .filter((lens) => !added.includes(lens) && lens.root.contains(event.target))
+        .forEach((lens) => lens.refresh());
+    };
+    document.addEventListener("shopify:section:load", onSectionLoad);
+    pageCleanups.push(() => document.removeEventListener("shopify:section:load", onSectionLoad));
+  }
+
+  // ── Collection and search cards ────────────────────────────────────────────
+  // The embed lists the map of each mapped product on the page. Hovering or
+  // clicking a swatch on a card shows that value's featured image (or its
+  // first assigned image) on the card; leaving the card after a hover puts
+  // back the clicked or original image. The listeners sit on document, so
+  // selectors stay specific to product cards and swatch markup: radios and
+  // labels in filters, forms and cart drawers never reach swatch matching.
+  const CARD_SELECTOR =
+    ".card-wrapper, .product-card, .grid-product, .product-item, [data-product-card]";
+  const SWATCH_SELECTOR = "[data-option-value], [data-swatch], [data-value], .swatch, .color-swatch";
+  const CARD_IMAGE_WIDTHS = [165, 360, 533, 720, 940, 1066];
+
+  function withWidth(url, width) {
+    return `${url}${url.includes("?") ? "&" : "?"}width=${width}`;
   }
 
+  function swatchValue(swatch) {
+    if (swatch.tagName === "LABEL" && swatch.control?.value) return swatch.control.value;
+    return (
+      swatch.dataset.optionValue ||
+      swatch.dataset.value ||
+      swatch.dataset.swatch ||
+      swatch.value ||
+      swatch.getAttribute("title") ||
+      swatch.getAttribute("aria-label") ||
+      swatch.textContent.trim()
+    );
+  }
+
+  // Mapping keys a swatch value stands for, most specific first.
+  function cardKeysFor(map, table, product, value) {
+    const wanted = String(value).trim().toLowerCase();
+    const same = (candidate) => String(candidate).trim().toLowerCase() === wanted;
+
+    if (map.mode === "option") return Object.keys(table).filter(same);
+    if (map.mode === "combination") {
+      const wildcards = (key) =>
+        parseCombinationKey(key).filter((part) => part === COMBINATION_WILDCARD).length;
+      return Object.keys(table)
+        .filter((key) =>
+          parseCombinationKey(key).some((part) => part !== COMBINATION_WILDCARD && same(part))
+        )
+        .sort((a, b) => wildcards(a) - wildcards(b));
+    }
+    return Object.entries(product.variantOptions || {})
+      .filter(([variantId, options]) => table[variantId] && options.some(same))
+      .map(([variantId]) => variantId);
+  }
+
+  function cardImageFor(product, value) {
+    const map = parseJson(product.map, null);
+    if (!map || typeof map !== "object") return null;
+    const table = map.mode ? map.mapping || {} : map;
+    const featured = map.featured || {};
+
+    for (const key of cardKeysFor(map, table, product, value)) {
+      // Videos and 3D models can't stand in for a card image.
+      const imageId = [featured[key], ...(table[key] || [])].find((id) => product.images?.[id]);
+      if (imageId) return { imageId, url: product.images[imageId] };
+    }
+    return null;
+  }
+
+  function initCards(cardsEl) {
+    const data = parseJson(cardsEl.textContent, null);
+    if (!data?.products) return;
+
+    // Settings rules can turn variant images on or off for single products.
+    const shopSettings = parseJson(data.settings, null);
+    const products = {};
+    for (const [productId, product] of Object.entries(data.products)) {
+      const map = parseJson(product.map, null);
+      if (effectiveSettings(shopSettings, product.ruleSettings, map).enabled === false) continue;
+      products[productId] = product;
+    }
+
+    const swatchSelector = (typeof data.swatchSelector === "string" && data.swatchSelector.trim()) ||
+      SWATCH_SELECTOR;
+    const productsByHandle = {};
+    for (const [productId, product] of Object.entries(products)) {
+      productsByHandle[product.handle] = { productId, ...product };
+    }
+
+    function cardProduct(card) {
+      const idCarrier = card.matches("[data-product-id]") ? card : card.querySelector("[data-product-id]");
+      const productId = idCarrier?.getAttribute("data-product-id");
+      if (productId && products[productId]) return { productId, ...products[productId] };
+
+      const href = card.querySelector("a[href*='/products/']")?.getAttribute("href") || "";
+      const handle = href.match(/\/products\/([^/?#]+)/)?.[1];
+      return handle ? productsByHandle[decodeURIComponent(handle)] || null : null;
+    }
+
+    function showImage(card, url) {
+      const img = card.querySelector("img");
+      if (!img) return;
+      if (img.dataset.viOriginalSrc == null) {
+        img.dataset.viOriginalSrc = img.getAttribute("src") || "";
+        img.dataset.viOriginalSrcset = img.getAttribute("srcset") || "";
+      }
+      if (!url) {
+        img.setAttribute("src", img.dataset.viOriginalSrc);
+        if (img.dataset.viOriginalSrcset) img.setAttribute("srcset", img.dataset.viOriginalSrcset);
+        else img.removeAttribute("srcset");
+        return;
+      }
+      img.setAttribute("srcset", CARD_IMAGE_WIDTHS.map((w) => `${withWidth(url, w)} ${w}w`).join(", "));
+      img.setAttribute("src", withWidth(url, 720));
+    }
+
+    // The card an event happened in, when it shows a mapped product.
+    function mappedCard(event) {
+      const card = event.target.closest?.(CARD_SELECTOR);
+      const product = card ? cardProduct(card) : null;
+      return product ? { card, product } : null;
+    }
+
+    function swap(event, persist) {
+      const target = mappedCard(event);
+      const swatch = target ? event.target.closest(swatchSelector) : null;
+      if (!swatch || !target.card.contains(swatch)) return;
+      const { card, product } = target;
+      const value = swatchValue(swatch);
+      const image = value ? cardImageFor(product, value) : null;
+      if (!image) return;
+      // mouseover repeats for every element inside the swatch
+      if (!persist && card.dataset.viShownImage === image.url) return;
+
+      if (persist) card.dataset.viSelectedImage = image.url;
+      card.dataset.viShownImage = image.url;
+      showImage(card, image.url);
+      card.dispatchEvent(
+        new CustomEvent("variantlens:card-swapped", {
+          bubbles: true,
+          detail: { productId: product.productId, value, imageId: image.imageId },
+        })
+      );
+    }
+
+    const onClick = (event) => swap(event, true);
+    const onOver = (event) => swap(event, false);
+    const onOut = (event) => {
+      const card = event.target.closest?.(CARD_SELECTOR);
+      if (!card || card.contains(event.relatedTarget)) return;
+      if (card.querySelector("img")?.dataset.viOriginalSrc == null) return;
+      card.dataset.viShownImage = card.dataset.viSelectedImage || "";
+      showImage(card, card.dataset.viSelectedImage || null);
+    };
+
+    document.addEventListener("click", onClick);
+    pageCleanups.push(() => document.removeEventListener("click", onClick));
+    if (data.trigger !== "click") {
+      document.addEventListener("mouseover", onOver);
+      document.addEventListener("mouseout", onOut);
+      pageCleanups.push(() => {
+        document.removeEventListener("mouseover", onOver);
+        document.removeEventListener("mouseout", onOut);
+      });
+    }
+  }
+
+  // ── Public API and events ──────────────────────────────────────────────────
+  // window.VariantLens lets themes, quick views and custom galleries drive
+  // the filters; "variantlens:*" events bubble to document from each
+  // product's root and carry its productId.
+  function publicLens(lens) {
+    return {
+      productId: lens.productId,
+      root: lens.root,
+      filter: (variantId) => lens.filter(variantId),
+      refresh: () => lens.refresh(),
+      getAllowedMediaIds: () => lens.getAllowedMediaIds(),
+      destroy: () => removeLens(lens, { restore: true }),
+    };
+  }
+
+  function lensFor(productId) {
+    if (productId == null) return lenses[0] || null;
+    return lenses.find((lens) => lens.productId === String(productId)) || null;
+  }
+
+  window.VariantLens = {
+    // Filters the product that has this variant, even if it is already selected.
+    filter(variantId) {
+      if (destroyed || !variantId) return;
+      lenses.find((lens) => lens.ownsVariant(String(variantId)))?.filter(variantId);
+    },
+    // Picks up new product blocks and re-applies every product's variant,
+    // e.g. after a gallery or quick view was re-rendered.
+    refresh() {
+      if (destroyed) return;
+      scan();
+      lenses.forEach((lens) => lens.refresh());
+    },
+    // Media IDs shown for a product's current variant, in display order.
+    // Without a product ID, the first product on the page is used.
+    getAllowedMediaIds(productId) {
+      return lensFor(productId)?.getAllowedMediaIds() || [];
+    },
+    // One product's filter, with the same methods scoped to it.
+    get(productId) {
+      const lens = lensFor(productId);
+      return lens ? publicLens(lens) : null;
+    },
+    instances() {
+      return lenses.map(publicLens);
+    },
+    // Stops every filter, restores the galleries and removes the API.
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      clearTimeout(bootTimer);
+      clearTimeout(scanTimer);
+      pageCleanups.splice(0).forEach((cleanup) => cleanup());
+      lenses.slice().forEach((lens) => removeLens(lens, { restore: true }));
+      delete window.VariantLens;
+      window.__variantImagesFilterInitialized = false;
+      document.dispatchEvent(new CustomEvent("variantlens:destroyed", { detail: {} }));
+    },
+  };
+
   // Boot after DOM is ready
   if (document.readyState === "loading") {
-    document.addEventListener("DOMContentLoaded", init);
+    const onReady = () => init();
+    document.addEventListener("DOMContentLoaded", onReady);
+    pageCleanups.push(() => document.removeEventListener("DOMContentLoaded", onReady));
   } else {
     // Slight delay so theme JS sets initial variant state first
-    setTimeout(init, 50);
+    bootTimer = setTimeout(init, 50);
   }
 })();
@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "ProductSummary" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "handle" TEXT NOT NULL,
+    "onlineStoreUrl" TEXT,
+    "imageUrl" TEXT,
+    "imageAltText" TEXT,
+    "variantsCount" INTEGER NOT NULL DEFAULT 0,
+    "mediaCount" INTEGER NOT NULL DEFAULT 0,
+    "configuredValueCount" INTEGER NOT NULL DEFAULT 0,
+    "assignedImageCount" INTEGER NOT NULL DEFAULT 0,
+    "mappingMode" TEXT,
+    "lastSavedAt" TIMESTAMP(3),
+    "productUpdatedAt" TIMESTAMP(3) NOT NULL,
+    "indexedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProductSummary_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ProductIndexState" (
+    "shop" TEXT NOT NULL,
+    "syncedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProductIndexState_pkey" PRIMARY KEY ("shop")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductSummary_shop_productId_key" ON "ProductSummary"("shop", "productId");
+
+-- CreateIndex
+CREATE INDEX "ProductSummary_shop_productUpdatedAt_idx" ON "ProductSummary"("shop", "productUpdatedAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ProductSummary" ADD COLUMN "optionSnapshot" JSONB;
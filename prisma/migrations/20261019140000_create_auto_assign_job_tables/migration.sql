@@ -0,0 +1,43 @@
+-- CreateTable
+CREATE TABLE "AutoAssignJob" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "scope" TEXT NOT NULL,
+    "rules" JSONB NOT NULL,
+    "productIds" JSONB,
+    "total" INTEGER NOT NULL DEFAULT 0,
+    "processed" INTEGER NOT NULL DEFAULT 0,
+    "assigned" INTEGER NOT NULL DEFAULT 0,
+    "skipped" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "AutoAssignJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AutoAssignJobResult" (
+    "id" TEXT NOT NULL,
+    "jobId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "assignedValues" INTEGER NOT NULL DEFAULT 0,
+    "message" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AutoAssignJobResult_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AutoAssignJob_shop_createdAt_idx" ON "AutoAssignJob"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AutoAssignJobResult_jobId_idx" ON "AutoAssignJobResult"("jobId");
+
+-- AddForeignKey
+ALTER TABLE "AutoAssignJobResult" ADD CONSTRAINT "AutoAssignJobResult_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "AutoAssignJob"("id") ON DELETE CASCADE ON UPDATE CASCADE;
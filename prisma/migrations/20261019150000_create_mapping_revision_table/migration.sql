@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "MappingRevision" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "userId" TEXT,
+    "before" JSONB,
+    "after" JSONB NOT NULL,
+    "restoredFromId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MappingRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MappingRevision_shop_productId_createdAt_idx" ON "MappingRevision"("shop", "productId", "createdAt");
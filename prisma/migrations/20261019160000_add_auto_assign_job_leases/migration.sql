@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "AutoAssignJob" ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "kind" TEXT NOT NULL DEFAULT 'auto-assign',
+ADD COLUMN     "lockedUntil" TIMESTAMP(3),
+ADD COLUMN     "state" JSONB;
+
+-- CreateIndex
+CREATE INDEX "AutoAssignJob_status_lockedUntil_idx" ON "AutoAssignJob"("status", "lockedUntil");
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "AutoAssignJob" ALTER COLUMN "scope" DROP NOT NULL,
+ALTER COLUMN "rules" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "ProductIndexState" ADD COLUMN     "status" TEXT NOT NULL DEFAULT 'ready',
+ALTER COLUMN "syncedAt" DROP NOT NULL;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "AutoAssignJobResult" ADD COLUMN     "rows" JSONB;
@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+// Kept apart from vite.config.js so tests don't load the Remix plugin.
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.js"],
+    environment: "node",
+  },
+});